@@ -0,0 +1,42 @@
+--- @module deck-sync
+--- @license MIT
+--- @copyright 2026 Mickaël Canouil
+--- @author Mickaël Canouil
+--- @version 1.0.0
+--- @brief Deck sync notifications for Reveal.js plugins
+--- @description Loads the shared deck sync script (html/scripts/deck-sync.js)
+---   for Reveal.js. It dispatches mcanouil:sync after every Reveal.sync() call,
+---   and the mcanouil, tabset, and line fragment indices plugins subscribe to it.
+
+-- ============================================================================
+-- FORMAT CHECK
+-- ============================================================================
+
+-- This filter only applies to Reveal.js
+if not quarto.doc.is_format('revealjs') then
+  return {}
+end
+
+-- ============================================================================
+-- FILTER FUNCTIONS
+-- ============================================================================
+
+--- Load the shared deck sync script
+--- @param meta pandoc.Meta Document metadata
+--- @return pandoc.Meta Unmodified metadata
+local function Meta(meta)
+  quarto.doc.add_html_dependency({
+    name = 'deck-sync',
+    version = '1.0.0',
+    scripts = { quarto.utils.resolve_path('../html/scripts/deck-sync.js') }
+  })
+  return meta
+end
+
+-- ============================================================================
+-- FILTER EXPORT
+-- ============================================================================
+
+return {
+  { Meta = Meta }
+}
@@ -0,0 +1,103 @@
+--- @module ordinal-dates
+--- @license MIT
+--- @copyright 2026 Mickaël Canouil
+--- @author Mickaël Canouil
+--- @version 1.0.0
+--- @brief Ordinal date formatting filter
+--- @description Loads the shared ordinal date formatter (html/scripts/ordinal-dates.js)
+---   for HTML and Reveal.js. HTML pages format their date elements on load with
+---   extensions.mcanouil.date-ordinal-style (default: italic). Reveal.js decks
+---   are formatted by the mcanouil Reveal.js plugin, and the Reveal.js plugins
+---   pick their wording for the document language with the same script.
+
+-- ============================================================================
+-- FORMAT CHECK
+-- ============================================================================
+
+-- This filter only applies to HTML-based formats (HTML and Reveal.js)
+local format_utils = require(
+  quarto.utils.resolve_path('../_modules/format-utils.lua'):gsub('%.lua$', '')
+)
+
+if not format_utils.is_html_based() then
+  return {}
+end
+
+-- ============================================================================
+-- MODULES
+-- ============================================================================
+
+local meta_mod = require(
+  quarto.utils.resolve_path('../_modules/metadata.lua'):gsub('%.lua$', '')
+)
+local log = require(
+  quarto.utils.resolve_path('../_modules/logging.lua'):gsub('%.lua$', '')
+)
+
+-- ============================================================================
+-- CONSTANTS
+-- ============================================================================
+
+--- @type table<string, boolean> Accepted values for date-ordinal-style
+local STYLES = { superscript = true, italic = true, none = true }
+
+--- @type string Date elements formatted on HTML pages
+local HTML_DATE_SELECTORS = table.concat({
+  'p.date',
+  'p.date-modified',
+  'div.listing-date',
+  'div.listing-file-modified',
+  'span.mc-professional-date',
+  'span.mc-professional-modified',
+  'span.mc-academic-date',
+  'span.mc-academic-modified'
+}, ', ')
+
+local HTML_FORMAT_DATES = [[
+<script id="quarto-ordinal-dates" type="text/javascript">
+document.addEventListener("DOMContentLoaded", function () {
+  window.MCanouilOrdinalDates.format(
+    document.querySelectorAll("%s"),
+    { style: "%s" }
+  );
+});
+</script>
+]]
+
+-- ============================================================================
+-- FILTER FUNCTIONS
+-- ============================================================================
+
+--- Load the ordinal date formatter and format HTML date elements
+--- @param meta pandoc.Meta Document metadata
+--- @return pandoc.Meta Unmodified metadata
+local function Meta(meta)
+  local dependency = {
+    name = 'ordinal-dates',
+    version = '1.0.0',
+    scripts = { quarto.utils.resolve_path('../html/scripts/ordinal-dates.js') }
+  }
+
+  if not quarto.doc.is_format('revealjs') then
+    local style = meta_mod.get_metadata_value(meta, 'mcanouil', 'date-ordinal-style') or 'italic'
+    if not STYLES[style] then
+      log.log_warning(
+        'mcanouil',
+        'Unknown date-ordinal-style "' .. style .. '". Using "italic".'
+      )
+      style = 'italic'
+    end
+    dependency.head = string.format(HTML_FORMAT_DATES, HTML_DATE_SELECTORS, style)
+  end
+
+  quarto.doc.add_html_dependency(dependency)
+  return meta
+end
+
+-- ============================================================================
+-- FILTER EXPORT
+-- ============================================================================
+
+return {
+  { Meta = Meta }
+}
@@ -0,0 +1,67 @@
+/**
+ * Sync notifications shared by the mcanouil Reveal.js plugins.
+ *
+ * Reveal.js has no sync event. deck.sync() is wrapped once, on the deck and
+ * on the Reveal global, so that every call dispatches mcanouil:sync on the
+ * deck element. Calls made while listeners run do not dispatch again.
+ * Plugins subscribe instead of wrapping the method themselves.
+ *
+ * @license MIT
+ * @copyright 2026 Mickaël Canouil
+ * @author Mickaël Canouil
+ */
+
+window.MCanouilDeckSync = (function () {
+  "use strict";
+
+  /**
+   * Dispatch mcanouil:sync on the deck after every deck.sync() call.
+   * Wrapping an already wrapped deck does nothing.
+   * @param {Object} deck - Reveal.js deck instance.
+   */
+  function watch(deck) {
+    if (deck.sync.mcanouilSync) return;
+
+    const sync = deck.sync;
+    let dispatching = false;
+
+    function syncAndNotify(...args) {
+      const result = sync.apply(this, args);
+      if (!dispatching) {
+        dispatching = true;
+        try {
+          deck
+            .getRevealElement()
+            .dispatchEvent(new CustomEvent("mcanouil:sync", { bubbles: true }));
+        } finally {
+          dispatching = false;
+        }
+      }
+      return result;
+    }
+    syncAndNotify.mcanouilSync = true;
+
+    if (window.Reveal?.sync === sync) {
+      window.Reveal.sync = syncAndNotify;
+    }
+    deck.sync = syncAndNotify;
+  }
+
+  /**
+   * Run a listener after every deck.sync() call made once the deck is ready.
+   * @param {Object} deck - Reveal.js deck instance.
+   * @param {Function} listener - Called with the mcanouil:sync event.
+   */
+  function subscribe(deck, listener) {
+    watch(deck);
+    deck.on("mcanouil:sync", function (event) {
+      if (!deck.isReady()) return;
+      listener(event);
+    });
+  }
+
+  return {
+    watch,
+    subscribe,
+  };
+})();
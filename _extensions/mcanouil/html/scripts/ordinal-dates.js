@@ -0,0 +1,150 @@
+/**
+ * Ordinal date formatter shared by HTML pages and Reveal.js decks.
+ * Also picks the wording of the Reveal.js plugins for an element, from the
+ * same language lookup, so every component supports the same languages.
+ *
+ * Raises the ordinal suffix of day numbers (1st, 1er, 1º) to superscript.
+ * Only text nodes are rewritten, so links and other markup inside date
+ * elements are left intact. The language is read from the closest `lang`
+ * attribute, falling back to English for unsupported languages.
+ *
+ * Supported languages:
+ * - English: 1st, 2nd, 3rd, 4th.
+ * - French: 1er, 1re, 2e.
+ * - German: 1., 2. (no suffix to raise, left as is).
+ * - Spanish: 1º, 1ª.
+ *
+ * Styles:
+ * - superscript: suffix in a <sup> element.
+ * - italic: suffix in a smaller, italic <sup> element.
+ * - none: dates are left as is.
+ *
+ * @license MIT
+ * @copyright 2026 Mickaël Canouil
+ * @author Mickaël Canouil
+ */
+
+window.MCanouilOrdinalDates = (function () {
+  "use strict";
+
+  const STYLES = ["superscript", "italic", "none"];
+
+  /**
+   * Ordinal rules per language.
+   * Each pattern captures the day number and its suffix. A null pattern
+   * means the language has no suffix to raise.
+   */
+  const LOCALES = {
+    en: {
+      pattern: /(?<![\p{L}\p{N}])(\d+)(st|nd|rd|th)(?![\p{L}\p{N}])/giu,
+    },
+    fr: {
+      pattern: /(?<![\p{L}\p{N}])(\d+)(er|re|e|ème)(?![\p{L}\p{N}])/gu,
+    },
+    de: {
+      pattern: null,
+    },
+    es: {
+      pattern: /(?<![\p{L}\p{N}])(\d+)(º|ª)/gu,
+      suffix: (text) => (text === "ª" ? "a" : "o"),
+    },
+  };
+
+  /**
+   * Pick the entry of a table for the language of an element, read from
+   * its closest lang attribute, falling back to English.
+   * @param {Element} el - Element.
+   * @param {Object} table - Entries keyed by language: en, fr, de, es.
+   * @returns {*} Entry for the language.
+   */
+  function localise(el, table) {
+    const lang =
+      el.closest("[lang]")?.getAttribute("lang") ||
+      document.documentElement.lang ||
+      "en";
+    const primary = lang.toLowerCase().split(/[-_]/)[0];
+    return table[primary] || table.en;
+  }
+
+  /**
+   * Create the superscript element holding an ordinal suffix.
+   * @param {string} text - Suffix text.
+   * @param {string} style - Superscript style.
+   * @returns {Element} The superscript element.
+   */
+  function createSuffix(text, style) {
+    const sup = document.createElement("sup");
+    sup.className = "ordinal-suffix";
+    sup.textContent = text;
+    if (style === "italic") {
+      sup.style.fontSize = "0.5em";
+      sup.style.fontStyle = "italic";
+    }
+    return sup;
+  }
+
+  /**
+   * Raise the ordinal suffixes found in a text node.
+   * @param {Text} node - Text node.
+   * @param {Object} locale - Ordinal rules for the language.
+   * @param {string} style - Superscript style.
+   */
+  function formatTextNode(node, locale, style) {
+    const text = node.nodeValue;
+    const fragment = document.createDocumentFragment();
+    let lastIndex = 0;
+
+    for (const match of text.matchAll(locale.pattern)) {
+      const [full, day, suffix] = match;
+      fragment.append(text.slice(lastIndex, match.index) + day);
+      fragment.append(
+        createSuffix(locale.suffix ? locale.suffix(suffix) : suffix, style)
+      );
+      lastIndex = match.index + full.length;
+    }
+
+    if (lastIndex === 0) return;
+
+    fragment.append(text.slice(lastIndex));
+    node.replaceWith(fragment);
+  }
+
+  /**
+   * Format ordinal dates in the given elements.
+   * Running it again on the same elements leaves them unchanged.
+   * @param {Iterable<Element>} elements - Date elements.
+   * @param {Object} [options] - Formatting options.
+   * @param {string} [options.style="superscript"] - Superscript style.
+   */
+  function format(elements, options = {}) {
+    const style = STYLES.includes(options.style) ? options.style : "superscript";
+    if (style === "none") return;
+
+    for (const el of elements) {
+      const locale = localise(el, LOCALES);
+      if (!locale.pattern) continue;
+
+      const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT, {
+        acceptNode: (node) =>
+          node.parentElement?.closest("sup.ordinal-suffix")
+            ? NodeFilter.FILTER_REJECT
+            : NodeFilter.FILTER_ACCEPT,
+      });
+
+      const nodes = [];
+      while (walker.nextNode()) {
+        nodes.push(walker.currentNode);
+      }
+
+      for (const node of nodes) {
+        formatTextNode(node, locale, style);
+      }
+    }
+  }
+
+  return {
+    format,
+    localise,
+    styles: STYLES,
+  };
+})();
@@ -10,21 +10,111 @@
  *
  * Features:
  * - Hidden fragment triggers for each annotation.
- * - Tooltip display (via tippy.js) when fragments are revealed.
+ * - Annotation display when fragments are revealed: a tooltip (via
+ *   tippy.js), a panel beside the code, or a callout under the line.
+ * - Emphasis of the active annotation in the annotation list.
  * - Forward and backward navigation support.
  * - Synchronisation with line highlighting when present.
+ * - Explicit mapping of line highlight steps to annotations.
+ * - Annotation text in print, as a legend, callouts, or per-page tooltips.
+ * - Current and next annotation in the speaker notes.
+ * - Scrolling of long code blocks to the annotated line.
+ *
+ * Usage in Quarto:
+ * ```{.r code-line-numbers="|1|3" code-annotation-steps="1:1,2;2:-"}
+ * x <- 1 # <1>
+ * y <- 2 # <2>
+ * z <- 3 # <3>
+ * ```
+ *
+ * The code-annotation-steps attribute lists, for each highlight step, the
+ * annotations shown with it, or "-" for none. Steps not listed show the
+ * annotation with their number, and annotations shown at no step follow
+ * the highlights as their own fragments.
  *
  * Configuration:
  * ```yaml
  * extensions:
  *   mcanouil:
  *     code-annotation-fragments: true  # enabled by default
+ *     code-annotation-display: tooltip # tooltip, panel, inline
+ *     code-annotation-pdf: legend      # legend, callouts, tooltips, none
+ *     code-annotation-notes: current   # current, all, none
  * ```
+ *
+ * The "panel" display shows the annotation text in a column to the right of
+ * the code, and "inline" inserts it under the annotated line.
+ *
+ * In print, "legend" lists the annotations under each code block,
+ * "callouts" places each annotation beside its line, and "tooltips" shows
+ * the annotation of each fragment page next to its marker. Tooltips need
+ * fragments on separate pages (pdf-separate-fragments) and fall back to
+ * the legend otherwise.
+ *
+ * In the speaker view, "current" adds the annotation shown and the next one,
+ * with their line numbers, to the notes of the slide, and "all" also lists
+ * every annotation of the slide. The notes are worded in the document
+ * language: English, French, German, or Spanish.
  */
 
 window.RevealJsCodeAnnotationFragments = function () {
   "use strict";
 
+  const DISPLAY_MODES = ["tooltip", "panel", "inline"];
+  const PDF_MODES = ["legend", "callouts", "tooltips", "none"];
+  const NOTES_MODES = ["current", "all", "none"];
+  const SCROLL_TIMEOUT = 600;
+
+  // Speaker notes wording per language, English for unsupported languages.
+  const NOTES_LABELS = {
+    en: {
+      now: "Now: ",
+      next: "Next: ",
+      none: "No annotation left.",
+      all: "All annotations",
+      annotation: "annotation",
+      line: "line",
+      lines: "lines",
+    },
+    fr: {
+      now: "Maintenant : ",
+      next: "Ensuite : ",
+      none: "Plus aucune annotation.",
+      all: "Toutes les annotations",
+      annotation: "annotation",
+      line: "ligne",
+      lines: "lignes",
+    },
+    de: {
+      now: "Jetzt: ",
+      next: "Als Nächstes: ",
+      none: "Keine Anmerkung mehr.",
+      all: "Alle Anmerkungen",
+      annotation: "Anmerkung",
+      line: "Zeile",
+      lines: "Zeilen",
+    },
+    es: {
+      now: "Ahora: ",
+      next: "Siguiente: ",
+      none: "No quedan anotaciones.",
+      all: "Todas las anotaciones",
+      annotation: "anotación",
+      line: "línea",
+      lines: "líneas",
+    },
+  };
+
+  // How annotations show on screen, one of DISPLAY_MODES.
+  let displayMode = "tooltip";
+
+  // Increased when annotations are hidden, so that an annotation waiting
+  // for its code block to scroll is not shown after the step has changed.
+  let annotationRequest = 0;
+
+  // Scroll position of each code block before annotations scrolled it.
+  const scrollOrigins = new WeakMap();
+
   /**
    * Check if a fragment is a line highlight fragment.
    * @param {Element} fragment - The fragment element to check.
@@ -63,6 +153,59 @@ window.RevealJsCodeAnnotationFragments = function () {
     return true; // default enabled
   }
 
+  /**
+   * Get how annotations show on screen.
+   * Reads from extensions.mcanouil.code-annotation-display.
+   * @param {Object} config - Reveal.js deck config.
+   * @returns {string} One of DISPLAY_MODES.
+   */
+  function getDisplayMode(config) {
+    const value =
+      config["extensions"]?.["mcanouil"]?.["code-annotation-display"];
+    if (value === undefined) return "tooltip";
+    if (DISPLAY_MODES.includes(value)) return value;
+
+    console.warn(
+      `[code-annotation-fragments] Unknown code-annotation-display "${value}", using "tooltip".`
+    );
+    return "tooltip";
+  }
+
+  /**
+   * Get how annotations print.
+   * Reads from extensions.mcanouil.code-annotation-pdf.
+   * @param {Object} config - Reveal.js deck config.
+   * @returns {string} One of PDF_MODES.
+   */
+  function getPdfMode(config) {
+    const value = config["extensions"]?.["mcanouil"]?.["code-annotation-pdf"];
+    if (value === undefined) return "legend";
+    if (PDF_MODES.includes(value)) return value;
+
+    console.warn(
+      `[code-annotation-fragments] Unknown code-annotation-pdf "${value}", using "legend".`
+    );
+    return "legend";
+  }
+
+  /**
+   * Get which annotations the speaker notes show.
+   * Reads from extensions.mcanouil.code-annotation-notes.
+   * @param {Object} config - Reveal.js deck config.
+   * @returns {string} One of NOTES_MODES.
+   */
+  function getNotesMode(config) {
+    const value =
+      config["extensions"]?.["mcanouil"]?.["code-annotation-notes"];
+    if (value === undefined) return "current";
+    if (NOTES_MODES.includes(value)) return value;
+
+    console.warn(
+      `[code-annotation-fragments] Unknown code-annotation-notes "${value}", using "current".`
+    );
+    return "current";
+  }
+
   /**
    * Get the next available fragment index for a slide.
    * @param {Element} slide - The slide element.
@@ -83,15 +226,29 @@ window.RevealJsCodeAnnotationFragments = function () {
   }
 
   /**
-   * Hide all annotation tooltips.
+   * Hide all annotations: tooltips, panel entries, inline callouts, and the
+   * emphasis in annotation lists.
    */
-  function hideAllAnnotationTooltips() {
+  function hideAllAnnotations() {
+    annotationRequest++;
     const anchors = document.querySelectorAll(".code-annotation-anchor");
     for (const anchor of anchors) {
       if (anchor._tippy) {
         anchor._tippy.hide();
       }
     }
+
+    for (const panel of document.querySelectorAll(".code-annotation-panel")) {
+      panel.replaceChildren();
+    }
+    for (const callout of document.querySelectorAll(".code-annotation-inline")) {
+      callout.remove();
+    }
+    for (const element of document.querySelectorAll(
+      ".code-annotation-active"
+    )) {
+      element.classList.remove("code-annotation-active");
+    }
   }
 
   /**
@@ -111,12 +268,131 @@ window.RevealJsCodeAnnotationFragments = function () {
   }
 
   /**
-   * Show annotation tooltip for a specific anchor.
+   * Check whether the reader prefers reduced motion.
+   * @returns {boolean} True if reduced motion is preferred.
+   */
+  function prefersReducedMotion() {
+    return window.matchMedia?.("(prefers-reduced-motion: reduce)").matches;
+  }
+
+  /**
+   * Get the element scrolling the code around an anchor.
+   * Depending on the theme, the pre or its code element scrolls.
+   * @param {Element} anchor - The annotation anchor.
+   * @returns {Element|null} The scrolling element, or null.
+   */
+  function getScrollContainer(anchor) {
+    const candidates = [anchor.closest("pre > code"), anchor.closest("pre")];
+    return (
+      candidates.find(
+        (element) => element && element.scrollHeight > element.clientHeight
+      ) || null
+    );
+  }
+
+  /**
+   * Get the vertical extent of lines within the scrolled content of a code
+   * block. Bounding rectangles are scaled with the slides, scroll positions
+   * are not, so the scale is removed.
+   * @param {Element} container - The scrolling element.
+   * @param {Element} first - First line element.
+   * @param {Element} last - Last line element.
+   * @returns {{top: number, bottom: number}} Extent in pixels.
+   */
+  function getLineExtent(container, first, last) {
+    const rect = container.getBoundingClientRect();
+    const scale =
+      container.offsetHeight > 0 ? rect.height / container.offsetHeight : 1;
+    const origin = rect.top + container.clientTop * scale;
+    const { scrollTop } = container;
+
+    return {
+      top: (first.getBoundingClientRect().top - origin) / scale + scrollTop,
+      bottom:
+        (last.getBoundingClientRect().bottom - origin) / scale + scrollTop,
+    };
+  }
+
+  /**
+   * Scroll a code block smoothly to a position.
+   * @param {Element} pre - The scrolling element.
+   * @param {number} top - Target scroll position.
+   * @returns {Promise<void>} Resolves once the scrolling ends.
+   */
+  function scrollCodeBlock(pre, top) {
+    const maxTop = pre.scrollHeight - pre.clientHeight;
+    const target = Math.round(Math.max(0, Math.min(top, maxTop)));
+    if (Math.abs(pre.scrollTop - target) < 1) return Promise.resolve();
+
+    if (prefersReducedMotion()) {
+      pre.scrollTop = target;
+      return Promise.resolve();
+    }
+
+    // scrollend is not supported everywhere, hence the timeout
+    return new Promise((resolve) => {
+      const timeout = setTimeout(done, SCROLL_TIMEOUT);
+      function done() {
+        clearTimeout(timeout);
+        pre.removeEventListener("scrollend", done);
+        resolve();
+      }
+      pre.addEventListener("scrollend", done);
+      pre.scrollTo({ top: target, behavior: "smooth" });
+    });
+  }
+
+  /**
+   * Scroll a code block so an annotated line is centred. Code blocks that do
+   * not scroll are left alone, and so are line highlight steps, which the
+   * line highlight plugin of Reveal.js already scrolls.
+   * @param {Element} anchor - The annotation anchor.
+   * @param {Element} [visibleFragment] - Line highlight fragment (optional).
+   * @returns {Promise<void>} Resolves once the scrolling ends.
+   */
+  function scrollToAnnotation(anchor, visibleFragment) {
+    if (visibleFragment && isLineHighlightFragment(visibleFragment)) {
+      return Promise.resolve();
+    }
+
+    const pre = getScrollContainer(anchor);
+    if (!pre) return Promise.resolve();
+
+    const line = anchor.closest("code > span") || anchor;
+    const extent = getLineExtent(pre, line, line);
+
+    if (!scrollOrigins.has(pre)) {
+      scrollOrigins.set(pre, pre.scrollTop);
+    }
+
+    return scrollCodeBlock(
+      pre,
+      (extent.top + extent.bottom) / 2 - pre.clientHeight / 2
+    );
+  }
+
+  /**
+   * Scroll the code blocks of a slide back to where they were before
+   * annotations scrolled them.
+   * @param {Element} slide - The slide element.
+   */
+  function restoreCodeScroll(slide) {
+    for (const pre of slide.querySelectorAll("pre, pre > code")) {
+      if (!scrollOrigins.has(pre)) continue;
+      scrollCodeBlock(pre, scrollOrigins.get(pre));
+      scrollOrigins.delete(pre);
+    }
+  }
+
+  /**
+   * Show an annotation in the display mode, and emphasise it in the
+   * annotation list. Long code blocks are first scrolled to the annotated
+   * line.
    * @param {string} targetCell - The target cell ID.
    * @param {string} targetAnnotation - The annotation number.
    * @param {Element} [visibleFragment] - Currently visible fragment (optional).
    */
-  function showAnnotationTooltip(targetCell, targetAnnotation, visibleFragment) {
+  function showAnnotation(targetCell, targetAnnotation, visibleFragment) {
     const selector = buildAnchorSelector(targetCell, targetAnnotation);
 
     // Try to find anchor within visible fragment first (for correct positioning)
@@ -129,6 +405,101 @@ window.RevealJsCodeAnnotationFragments = function () {
 
     if (!anchor) return;
 
+    const request = annotationRequest;
+    scrollToAnnotation(anchor, visibleFragment).then(() => {
+      if (request !== annotationRequest) return;
+
+      markActiveAnnotation(targetCell, targetAnnotation);
+      if (displayMode === "panel") {
+        addPanelAnnotation(anchor, targetCell, targetAnnotation);
+      } else if (displayMode === "inline") {
+        addInlineAnnotation(anchor, targetCell, targetAnnotation);
+      } else {
+        revealTooltip(anchor);
+      }
+    });
+  }
+
+  /**
+   * Emphasise an annotation in the annotation list.
+   * @param {string} targetCell - The target cell ID.
+   * @param {string} targetAnnotation - The annotation number.
+   */
+  function markActiveAnnotation(targetCell, targetAnnotation) {
+    const item = getAnnotationItem(targetCell, targetAnnotation);
+    if (!item) return;
+
+    item.classList.add("code-annotation-active");
+    item.previousElementSibling?.classList.add("code-annotation-active");
+  }
+
+  /**
+   * Add an annotation to the panel beside its code block.
+   * @param {Element} anchor - The annotation anchor.
+   * @param {string} targetCell - The target cell ID.
+   * @param {string} targetAnnotation - The annotation number.
+   */
+  function addPanelAnnotation(anchor, targetCell, targetAnnotation) {
+    const item = getAnnotationItem(targetCell, targetAnnotation);
+    const panel = anchor
+      .closest("div.sourceCode")
+      ?.querySelector(":scope > .code-annotation-panel");
+    if (!item || !panel) return;
+
+    panel.appendChild(
+      createAnnotationNote("code-annotation-panel-item", targetAnnotation, item)
+    );
+  }
+
+  /**
+   * Insert an annotation as a callout under its line.
+   * The callout goes after the line break ending the line, so the code
+   * below moves down instead of the line being split.
+   * @param {Element} anchor - The annotation anchor.
+   * @param {string} targetCell - The target cell ID.
+   * @param {string} targetAnnotation - The annotation number.
+   */
+  function addInlineAnnotation(anchor, targetCell, targetAnnotation) {
+    const item = getAnnotationItem(targetCell, targetAnnotation);
+    const line = anchor.closest("code > span");
+    if (!item || !line) return;
+
+    const callout = createAnnotationNote(
+      "code-annotation-inline",
+      targetAnnotation,
+      item
+    );
+    const next = line.nextSibling;
+    (next?.nodeType === Node.TEXT_NODE ? next : line).after(callout);
+  }
+
+  /**
+   * Add an empty annotation panel beside every annotated code block.
+   */
+  function setupAnnotationPanels() {
+    const codeBlocks = document.querySelectorAll(
+      ".reveal .slides .code-annotation-code"
+    );
+
+    for (const codeBlock of codeBlocks) {
+      const host = codeBlock.closest("div.sourceCode");
+      if (!host || host.querySelector(":scope > .code-annotation-panel")) {
+        continue;
+      }
+
+      const panel = document.createElement("div");
+      panel.className = "code-annotation-panel";
+      panel.setAttribute("aria-live", "polite");
+      host.classList.add("has-code-annotation-panel");
+      host.appendChild(panel);
+    }
+  }
+
+  /**
+   * Show the tooltip of an anchor.
+   * @param {Element} anchor - The annotation anchor.
+   */
+  function revealTooltip(anchor) {
     if (anchor._tippy) {
       // Append to slide to avoid overflow clipping from inner containers
       const slide = anchor.closest("section");
@@ -145,11 +516,79 @@ window.RevealJsCodeAnnotationFragments = function () {
     }
   }
 
+  /**
+   * Parse a code-annotation-steps attribute, such as "1:1,2;2:-;3:3".
+   * Invalid entries are skipped with a warning.
+   * @param {string} spec - Attribute value.
+   * @param {number} stepCount - Number of line highlight steps.
+   * @param {Array<string>} annotationNums - Annotation numbers of the block.
+   * @param {Element} element - Code block, for warnings.
+   * @returns {Map<number, Array<string>>} Annotations of each listed step.
+   */
+  function parseAnnotationSteps(spec, stepCount, annotationNums, element) {
+    const steps = new Map();
+
+    function warn(message) {
+      console.warn(
+        `[code-annotation-fragments] ${message} in code-annotation-steps "${spec}".`,
+        element
+      );
+    }
+
+    for (const entry of spec.split(";")) {
+      const text = entry.trim();
+      if (!text) continue;
+
+      const match = /^(\d+)\s*:\s*(-|\d+(?:\s*,\s*\d+)*)$/.exec(text);
+      if (!match) {
+        warn(
+          `Skipping "${text}", expected "step:annotations" such as "1:1,2" or "2:-",`
+        );
+        continue;
+      }
+
+      const step = parseInt(match[1], 10);
+      if (step < 1 || step > stepCount) {
+        warn(
+          `Skipping step ${step}, the code block has ${stepCount} highlight step(s) numbered from 1,`
+        );
+        continue;
+      }
+      if (steps.has(step)) {
+        warn(`Step ${step} is listed twice, keeping the last entry,`);
+      }
+
+      const annotations =
+        match[2] === "-"
+          ? []
+          : match[2].split(",").map((num) => String(parseInt(num, 10)));
+      const unknown = annotations.filter(
+        (num) => !annotationNums.includes(num)
+      );
+      if (unknown.length > 0) {
+        warn(
+          `Skipping unknown annotation(s) ${unknown.join(", ")} at step ${step}`
+        );
+      }
+
+      steps.set(
+        step,
+        annotations.filter((num) => annotationNums.includes(num))
+      );
+    }
+
+    return steps;
+  }
+
   /**
    * Set up synchronisation between line highlights and annotations.
+   * Steps map to annotations by position, annotation N at the Nth highlight
+   * step, unless the code-annotation-steps attribute lists them.
    * @param {Element} codeBlock - The code block element.
    * @param {Element} sourceCodeDiv - The source code div container.
    * @param {NodeList} anchors - The annotation anchors.
+   * @returns {Array<Element>} One anchor per annotation shown at no
+   *   highlight step.
    */
   function setupLineHighlightSync(codeBlock, sourceCodeDiv, anchors) {
     const targetCell = sourceCodeDiv.id;
@@ -168,21 +607,99 @@ window.RevealJsCodeAnnotationFragments = function () {
       })
       .sort((a, b) => a - b);
 
-    // Map each fragment to corresponding annotation by position
+    const annotationNums = [
+      ...new Set([...anchors].map((anchor) => anchor.dataset.targetAnnotation)),
+    ];
+    const spec = sourceCodeDiv.getAttribute("data-code-annotation-steps");
+    const explicitSteps = spec
+      ? parseAnnotationSteps(
+          spec,
+          fragmentIndices.length,
+          annotationNums,
+          sourceCodeDiv
+        )
+      : new Map();
+    const explicitAnnotations = new Set([...explicitSteps.values()].flat());
+
+    // Map each fragment to its listed annotations, or by position
     const stepToAnnotations = {};
+    const shown = new Set();
 
     for (const [position, fragmentIndex] of fragmentIndices.entries()) {
-      const annotationNum = String(position + 1);
-      const exists = [...anchors].some(
-        (anchor) => anchor.dataset.targetAnnotation === annotationNum
-      );
+      const step = position + 1;
+      let annotations = explicitSteps.get(step);
 
-      if (exists) {
-        stepToAnnotations[fragmentIndex] = [annotationNum];
+      if (!annotations) {
+        const annotationNum = String(step);
+        annotations =
+          annotationNums.includes(annotationNum) &&
+          !explicitAnnotations.has(annotationNum)
+            ? [annotationNum]
+            : [];
+      }
+
+      if (annotations.length > 0) {
+        stepToAnnotations[fragmentIndex] = annotations;
+        annotations.forEach((num) => shown.add(num));
       }
     }
 
     codeBlock.dataset.stepToAnnotations = JSON.stringify(stepToAnnotations);
+
+    // One anchor per annotation, as line highlight copies repeat them
+    const unmapped = new Map();
+    for (const anchor of getBaseAnchors(codeBlock)) {
+      const num = anchor.dataset.targetAnnotation;
+      if (!shown.has(num) && !unmapped.has(num)) {
+        unmapped.set(num, anchor);
+      }
+    }
+    return [...unmapped.values()];
+  }
+
+  /**
+   * Get the annotations of each line highlight step of a code block.
+   * @param {Element} codeBlock - The code block element.
+   * @returns {Object<string, Array<string>>} Annotations by fragment index.
+   */
+  function getStepToAnnotations(codeBlock) {
+    try {
+      return JSON.parse(codeBlock.dataset.stepToAnnotations || "{}");
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * Show the annotations of a line highlight step of a code block.
+   * @param {Element} codeBlock - The code block element.
+   * @param {number} fragmentIndex - Fragment index of the step.
+   */
+  function showHighlightStep(codeBlock, fragmentIndex) {
+    const annotations = getStepToAnnotations(codeBlock)[fragmentIndex];
+    if (!annotations?.length) return;
+
+    const stepFragment = codeBlock.querySelector(
+      `code.fragment[data-fragment-index="${fragmentIndex}"]`
+    );
+    for (const annotationNum of annotations) {
+      showAnnotation(codeBlock.dataset.targetCell, annotationNum, stepFragment);
+    }
+  }
+
+  /**
+   * Get the fragment index of the last line highlight step of a code block.
+   * @param {Element} codeBlock - The code block element.
+   * @returns {number} Fragment index, or NaN without highlight steps.
+   */
+  function getLastHighlightStep(codeBlock) {
+    const indices = [
+      ...codeBlock.querySelectorAll("code.fragment.has-line-highlights"),
+    ].map((fragment) =>
+      parseInt(fragment.getAttribute("data-fragment-index"), 10)
+    );
+    const valid = indices.filter((index) => !isNaN(index));
+    return valid.length > 0 ? Math.max(...valid) : NaN;
   }
 
   /**
@@ -235,7 +752,15 @@ window.RevealJsCodeAnnotationFragments = function () {
         codeBlock.querySelector("code.fragment.has-line-highlights") !== null;
 
       if (hasLineHighlighting && sourceCodeDiv) {
-        setupLineHighlightSync(codeBlock, sourceCodeDiv, anchors);
+        const unmapped = setupLineHighlightSync(
+          codeBlock,
+          sourceCodeDiv,
+          anchors
+        );
+        // Annotations shown at no highlight step follow the highlights
+        if (unmapped.length > 0) {
+          setupSequentialFragments(slide, parentNode, unmapped);
+        }
       } else {
         setupSequentialFragments(slide, parentNode, anchors);
       }
@@ -261,38 +786,17 @@ window.RevealJsCodeAnnotationFragments = function () {
     if (!codeBlock || codeBlock.dataset.annotationSyncMode !== "line-highlight")
       return;
 
-    const targetCell = codeBlock.dataset.targetCell;
+    hideAllAnnotations();
 
-    let stepToAnnotations;
-    try {
-      stepToAnnotations = JSON.parse(
-        codeBlock.dataset.stepToAnnotations || "{}"
-      );
-    } catch {
-      return;
-    }
-
-    hideAllAnnotationTooltips();
-
-    if (isShown) {
-      const annotations = stepToAnnotations[fragmentIndex];
-      if (annotations?.length > 0) {
-        for (const annotationNum of annotations) {
-          showAnnotationTooltip(targetCell, annotationNum, fragment);
-        }
-      }
-    } else {
-      const prevIndex = fragmentIndex - 1;
-      const prevAnnotations = stepToAnnotations[prevIndex];
-      if (prevAnnotations?.length > 0) {
-        const prevFragment = pre.querySelector(
-          `code.fragment[data-fragment-index="${prevIndex}"]`
-        );
-        for (const annotationNum of prevAnnotations) {
-          showAnnotationTooltip(targetCell, annotationNum, prevFragment);
-        }
-      }
+    const stepIndex = isShown ? fragmentIndex : fragmentIndex - 1;
+    const stepFragment = codeBlock.querySelector(
+      `code.fragment[data-fragment-index="${stepIndex}"]`
+    );
+    if (!stepFragment) {
+      // Back before the first highlight step: undo the scrolling
+      restoreCodeScroll(fragment.closest("section"));
     }
+    showHighlightStep(codeBlock, stepIndex);
   }
 
   /**
@@ -310,10 +814,10 @@ window.RevealJsCodeAnnotationFragments = function () {
 
     if (!fragment.classList.contains("code-annotation-fragment")) return;
 
-    hideAllAnnotationTooltips();
+    hideAllAnnotations();
 
     const { targetCell, targetAnnotation } = fragment.dataset;
-    showAnnotationTooltip(targetCell, targetAnnotation);
+    showAnnotation(targetCell, targetAnnotation);
   }
 
   /**
@@ -331,21 +835,500 @@ window.RevealJsCodeAnnotationFragments = function () {
 
     if (!fragment.classList.contains("code-annotation-fragment")) return;
 
-    hideAllAnnotationTooltips();
+    hideAllAnnotations();
 
+    const slide = fragment.closest("section");
+    if (!slide) return;
+
+    const { targetCell } = fragment.dataset;
     const anchorIndex = parseInt(fragment.dataset.anchorIndex, 10);
-    if (anchorIndex > 0) {
-      const slide = fragment.closest("section");
-      if (slide) {
-        const prevFragment = slide.querySelector(
-          `.code-annotation-fragment[data-anchor-index="${anchorIndex - 1}"]`
+    const prevFragment =
+      anchorIndex > 0
+        ? slide.querySelector(
+            `.code-annotation-fragment[data-target-cell="${targetCell}"][data-anchor-index="${anchorIndex - 1}"]`
+          )
+        : null;
+
+    if (prevFragment) {
+      showAnnotation(targetCell, prevFragment.dataset.targetAnnotation);
+      return;
+    }
+
+    // Back before the first annotation: undo the scrolling
+    restoreCodeScroll(slide);
+
+    // Annotations following line highlights: the last highlight step is
+    // still shown, so are its annotations
+    const codeBlock = slide.querySelector(
+      `.code-annotation-code[data-annotation-sync-mode="line-highlight"][data-target-cell="${targetCell}"]`
+    );
+    if (codeBlock) {
+      showHighlightStep(codeBlock, getLastHighlightStep(codeBlock));
+    }
+  }
+
+  /**
+   * Get the list item holding the text of an annotation.
+   * @param {string} targetCell - The target cell ID.
+   * @param {string} targetAnnotation - The annotation number.
+   * @returns {Element|null} The dd element, or null.
+   */
+  function getAnnotationItem(targetCell, targetAnnotation) {
+    const term = document.querySelector(
+      `dt[data-target-cell="${targetCell}"][data-target-annotation="${targetAnnotation}"]`
+    );
+    const item = term?.nextElementSibling;
+    return item?.tagName === "DD" ? item : null;
+  }
+
+  /**
+   * Get the anchors of a code block outside line highlight copies.
+   * Line highlight steps repeat the code, and its anchors, once per step.
+   * @param {Element} codeBlock - The code block element.
+   * @returns {Array<Element>} The annotation anchors.
+   */
+  function getBaseAnchors(codeBlock) {
+    const anchors = [...codeBlock.querySelectorAll(".code-annotation-anchor")];
+    const base = anchors.filter((anchor) => !anchor.closest("code.fragment"));
+    return base.length > 0 ? base : anchors;
+  }
+
+  /**
+   * Get the offset of an element within a positioned ancestor.
+   * Offsets ignore transforms, unlike bounding rectangles.
+   * @param {Element} element - The element.
+   * @param {Element} container - A positioned ancestor.
+   * @returns {{top: number, left: number}} Offset in pixels.
+   */
+  function getOffsetWithin(element, container) {
+    let top = 0;
+    let left = 0;
+    let node = element;
+
+    while (node && node !== container) {
+      top += node.offsetTop;
+      left += node.offsetLeft;
+      node = node.offsetParent;
+    }
+
+    return { top, left };
+  }
+
+  /**
+   * Create an annotation element: its number and its text.
+   * @param {string} className - Class of the element.
+   * @param {string} targetAnnotation - The annotation number.
+   * @param {Element} item - The dd element holding the text.
+   * @returns {Element} The annotation element.
+   */
+  function createAnnotationNote(className, targetAnnotation, item) {
+    const note = document.createElement("div");
+    note.className = className;
+
+    const marker = document.createElement("span");
+    marker.className = "code-annotation-note-marker";
+    marker.textContent = targetAnnotation;
+
+    const text = document.createElement("div");
+    text.className = "code-annotation-note-text";
+    text.innerHTML = item.innerHTML;
+
+    note.append(marker, text);
+    return note;
+  }
+
+  /**
+   * Get the container printed annotations are positioned in.
+   * @param {Element} codeBlock - The code block element.
+   * @returns {Element} The source code div, or the code block.
+   */
+  function getPrintHost(codeBlock) {
+    const host = codeBlock.closest("div.sourceCode") || codeBlock;
+    host.classList.add("code-annotation-pdf-host");
+    return host;
+  }
+
+  /**
+   * List the annotations of a code block under it.
+   * Skipped when the annotation list is already shown.
+   * @param {Element} codeBlock - The code block element.
+   */
+  function addAnnotationLegend(codeBlock) {
+    const legend = document.createElement("div");
+    legend.className = "code-annotation-pdf-legend";
+    const listed = new Set();
+
+    for (const anchor of getBaseAnchors(codeBlock)) {
+      const { targetCell, targetAnnotation } = anchor.dataset;
+      if (listed.has(targetAnnotation)) continue;
+      listed.add(targetAnnotation);
+
+      const item = getAnnotationItem(targetCell, targetAnnotation);
+      if (!item) continue;
+      if (getComputedStyle(item.parentElement).display !== "none") return;
+
+      legend.appendChild(
+        createAnnotationNote(
+          "code-annotation-pdf-item",
+          targetAnnotation,
+          item
+        )
+      );
+    }
+
+    if (legend.children.length === 0) return;
+
+    (codeBlock.closest("div.sourceCode") || codeBlock).after(legend);
+  }
+
+  /**
+   * Place each annotation of a code block beside its line.
+   * Callouts of close lines are pushed down so they do not overlap.
+   * @param {Element} codeBlock - The code block element.
+   */
+  function addAnnotationCallouts(codeBlock) {
+    const anchors = getBaseAnchors(codeBlock);
+    if (anchors.length === 0) return;
+
+    const host = getPrintHost(codeBlock);
+    host.classList.add("has-code-annotation-pdf-callouts");
+    let nextTop = 0;
+
+    for (const anchor of anchors) {
+      const { targetCell, targetAnnotation } = anchor.dataset;
+      const item = getAnnotationItem(targetCell, targetAnnotation);
+      if (!item) continue;
+
+      const callout = createAnnotationNote(
+        "code-annotation-pdf-callout",
+        targetAnnotation,
+        item
+      );
+      host.appendChild(callout);
+
+      const top = Math.max(getOffsetWithin(anchor, host).top, nextTop);
+      callout.style.top = `${top}px`;
+      nextTop = top + callout.offsetHeight + 4;
+    }
+  }
+
+  /**
+   * Get the anchor of an annotation shown on a print page.
+   * The last visible line highlight copy is the one on top.
+   * @param {Element} page - The print page, or a fragment holding anchors.
+   * @param {string} targetCell - The target cell ID.
+   * @param {string} targetAnnotation - The annotation number.
+   * @returns {Element|null} The anchor, or null.
+   */
+  function getPrintAnchor(page, targetCell, targetAnnotation) {
+    const anchors = [
+      ...page.querySelectorAll(
+        buildAnchorSelector(targetCell, targetAnnotation)
+      ),
+    ].filter((anchor) => {
+      const copy = anchor.closest("code.fragment");
+      return !copy || copy.classList.contains("visible");
+    });
+    return anchors[anchors.length - 1] || null;
+  }
+
+  /**
+   * Get the annotations of the fragment step printed on a page.
+   * @param {Element} page - The print page.
+   * @returns {Array<{scope: Element, targetCell: string, targetAnnotation: string}>}
+   *   Annotations, with the element their anchor is searched in.
+   */
+  function getPageAnnotations(page) {
+    const annotations = [];
+
+    for (const fragment of page.querySelectorAll(
+      ".code-annotation-fragment.current-fragment"
+    )) {
+      const { targetCell, targetAnnotation } = fragment.dataset;
+      annotations.push({ scope: page, targetCell, targetAnnotation });
+    }
+
+    for (const fragment of page.querySelectorAll(
+      "code.fragment.has-line-highlights.current-fragment"
+    )) {
+      const codeBlock = fragment.closest(".code-annotation-code");
+      if (codeBlock?.dataset.annotationSyncMode !== "line-highlight") continue;
+
+      const stepToAnnotations = getStepToAnnotations(codeBlock);
+      const fragmentIndex = fragment.getAttribute("data-fragment-index");
+      for (const targetAnnotation of stepToAnnotations[fragmentIndex] || []) {
+        annotations.push({
+          scope: fragment,
+          targetCell: codeBlock.dataset.targetCell,
+          targetAnnotation,
+        });
+      }
+    }
+
+    return annotations;
+  }
+
+  /**
+   * Show the annotation of each fragment page next to its marker, as the
+   * tooltip would be on screen.
+   */
+  function addPageTooltips() {
+    const pages = document.querySelectorAll(".reveal .slides .pdf-page");
+
+    for (const page of pages) {
+      for (const annotation of getPageAnnotations(page)) {
+        const { scope, targetCell, targetAnnotation } = annotation;
+        const anchor = getPrintAnchor(scope, targetCell, targetAnnotation);
+        const item = getAnnotationItem(targetCell, targetAnnotation);
+        if (!anchor || !item) continue;
+
+        const codeBlock = anchor.closest(".code-annotation-code");
+        if (!codeBlock) continue;
+
+        const host = getPrintHost(codeBlock);
+        const tooltip = createAnnotationNote(
+          "code-annotation-pdf-tooltip",
+          targetAnnotation,
+          item
         );
-        if (prevFragment) {
-          const { targetCell, targetAnnotation } = prevFragment.dataset;
-          showAnnotationTooltip(targetCell, targetAnnotation);
+        const offset = getOffsetWithin(anchor, host);
+        tooltip.style.top = `${offset.top + anchor.offsetHeight + 4}px`;
+        tooltip.style.left = `${offset.left}px`;
+        host.appendChild(tooltip);
+      }
+    }
+  }
+
+  /**
+   * Render code annotations for print.
+   * @param {Object} deck - Reveal.js deck instance.
+   */
+  function renderPrintAnnotations(deck) {
+    const config = deck.getConfig();
+    let mode = getPdfMode(config);
+    if (mode === "none") return;
+
+    if (mode === "tooltips") {
+      if (getEnabled(config) && config.pdfSeparateFragments !== false) {
+        addPageTooltips();
+        return;
+      }
+      mode = "legend";
+    }
+
+    const codeBlocks = document.querySelectorAll(
+      ".reveal .slides .code-annotation-code"
+    );
+    for (const codeBlock of codeBlocks) {
+      if (mode === "callouts") {
+        addAnnotationCallouts(codeBlock);
+      } else {
+        addAnnotationLegend(codeBlock);
+      }
+    }
+  }
+
+  /**
+   * Get the annotation steps of a slide, in fragment order.
+   * @param {Element} slide - The slide element.
+   * @returns {Array<{index: number, annotations: Array<Object>}>} Steps, each
+   *   with its fragment index and the target cell and number of its
+   *   annotations.
+   */
+  function getAnnotationSteps(slide) {
+    const steps = new Map();
+
+    function add(index, targetCell, targetAnnotation) {
+      if (isNaN(index)) return;
+      if (!steps.has(index)) steps.set(index, []);
+      steps.get(index).push({ targetCell, targetAnnotation });
+    }
+
+    for (const trigger of slide.querySelectorAll(".code-annotation-fragment")) {
+      const { targetCell, targetAnnotation } = trigger.dataset;
+      add(
+        parseInt(trigger.getAttribute("data-fragment-index"), 10),
+        targetCell,
+        targetAnnotation
+      );
+    }
+
+    for (const codeBlock of slide.querySelectorAll(
+      '.code-annotation-code[data-annotation-sync-mode="line-highlight"]'
+    )) {
+      const stepToAnnotations = getStepToAnnotations(codeBlock);
+      for (const [index, annotations] of Object.entries(stepToAnnotations)) {
+        for (const targetAnnotation of annotations) {
+          add(
+            parseInt(index, 10),
+            codeBlock.dataset.targetCell,
+            targetAnnotation
+          );
         }
       }
     }
+
+    return [...steps.entries()]
+      .sort((a, b) => a[0] - b[0])
+      .map(([index, annotations]) => ({ index, annotations }));
+  }
+
+  /**
+   * Get the speaker notes wording for the language of an element, from the
+   * shared language lookup of the ordinal date formatter.
+   * @param {Element} el - Element.
+   * @returns {Object} Notes labels for the language.
+   */
+  function getNotesLabels(el) {
+    return (
+      window.MCanouilOrdinalDates?.localise(el, NOTES_LABELS) ?? NOTES_LABELS.en
+    );
+  }
+
+  /**
+   * Create the speaker notes entry of an annotation.
+   * @param {string} label - Label before the annotation number.
+   * @param {Object} annotation - Target cell and number of the annotation.
+   * @param {Object} labels - Notes labels for the language.
+   * @returns {Element} The notes entry.
+   */
+  function createNotesEntry(label, annotation, labels) {
+    const { targetCell, targetAnnotation } = annotation;
+    const item = getAnnotationItem(targetCell, targetAnnotation);
+    const lines = item
+      ?.querySelector("[data-code-lines]")
+      ?.getAttribute("data-code-lines")
+      ?.split(",")
+      .map((line) => line.trim())
+      .filter(Boolean);
+
+    const entry = document.createElement("div");
+    entry.style.marginTop = "0.3em";
+
+    const title = document.createElement("strong");
+    title.textContent = `${label}${labels.annotation} ${targetAnnotation}`;
+    if (lines?.length > 0) {
+      const noun = lines.length > 1 ? labels.lines : labels.line;
+      title.textContent += `, ${noun} ${lines.join(", ")}`;
+    }
+    entry.appendChild(title);
+
+    if (item) {
+      const text = document.createElement("div");
+      text.innerHTML = item.innerHTML;
+      entry.appendChild(text);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Write the annotations of the current fragment step into the speaker
+   * notes of the current slide.
+   * @param {Object} deck - Reveal.js deck instance.
+   * @param {string} mode - Notes mode, "current" or "all".
+   */
+  function renderAnnotationNotes(deck, mode) {
+    const slide = deck.getCurrentSlide();
+    if (!slide) return;
+
+    const previous = slide.querySelector(
+      ":scope > aside.notes > .code-annotation-notes"
+    );
+    const steps = getAnnotationSteps(slide);
+    if (steps.length === 0) {
+      previous?.remove();
+      return;
+    }
+
+    const labels = getNotesLabels(slide);
+    const fragmentIndex = deck.getIndices(slide).f ?? -1;
+    const current = steps.find((step) => step.index === fragmentIndex);
+    const next = steps.find((step) => step.index > fragmentIndex);
+
+    const block = document.createElement("div");
+    block.className = "code-annotation-notes";
+    block.style.marginTop = "0.5em";
+    block.style.paddingTop = "0.5em";
+    block.style.borderTop = "1px solid currentColor";
+
+    for (const annotation of current?.annotations || []) {
+      block.appendChild(createNotesEntry(labels.now, annotation, labels));
+    }
+    for (const annotation of next?.annotations || []) {
+      block.appendChild(createNotesEntry(labels.next, annotation, labels));
+    }
+    if (!current && !next) {
+      block.appendChild(document.createTextNode(labels.none));
+    }
+
+    if (mode === "all") {
+      const listed = new Set();
+      const heading = document.createElement("div");
+      heading.style.marginTop = "0.5em";
+      heading.style.fontStyle = "italic";
+      heading.textContent = labels.all;
+      block.appendChild(heading);
+
+      for (const step of steps) {
+        for (const annotation of step.annotations) {
+          const key = `${annotation.targetCell}-${annotation.targetAnnotation}`;
+          if (listed.has(key)) continue;
+          listed.add(key);
+          block.appendChild(createNotesEntry("", annotation, labels));
+        }
+      }
+    }
+
+    let notes = slide.querySelector(":scope > aside.notes");
+    if (!notes) {
+      notes = document.createElement("aside");
+      notes.className = "notes";
+      slide.appendChild(notes);
+    }
+
+    if (previous) {
+      previous.replaceWith(block);
+    } else {
+      notes.appendChild(block);
+    }
+  }
+
+  /**
+   * Keep the annotations in the speaker notes in step with the fragments.
+   * The notes plugin sends the notes on the same events as this plugin
+   * listens to, and its listeners run first on the deck element. The
+   * notes are therefore updated in the capture phase on the document.
+   * Skipped when the notes show on the slides, in print, and in the
+   * speaker view previews.
+   * @param {Object} deck - Reveal.js deck instance.
+   */
+  function setupAnnotationNotes(deck) {
+    const config = deck.getConfig();
+    const mode = getNotesMode(config);
+    const params = new URLSearchParams(window.location.search);
+
+    if (
+      mode === "none" ||
+      config.showNotes ||
+      params.has("print-pdf") ||
+      params.has("receiver")
+    ) {
+      return;
+    }
+
+    const wrapper = deck.getRevealElement();
+    const update = function (event) {
+      if (event.target !== wrapper || !deck.isReady()) return;
+      renderAnnotationNotes(deck, mode);
+    };
+
+    for (const type of ["slidechanged", "fragmentshown", "fragmenthidden"]) {
+      document.addEventListener(type, update, true);
+    }
+    deck.on("ready", function () {
+      renderAnnotationNotes(deck, mode);
+    });
   }
 
   return {
@@ -357,13 +1340,24 @@ window.RevealJsCodeAnnotationFragments = function () {
       // Always patch tooltips to avoid overflow clipping
       deck.on("ready", patchAnnotationTooltips);
       deck.on("slidechanged", patchAnnotationTooltips);
+      deck.on("pdf-ready", function () {
+        renderPrintAnnotations(deck);
+      });
 
       if (!getEnabled(config)) return;
 
+      displayMode = getDisplayMode(config);
       deck.on("ready", setupCodeAnnotationFragments);
+      if (
+        displayMode === "panel" &&
+        !new URLSearchParams(window.location.search).has("print-pdf")
+      ) {
+        deck.on("ready", setupAnnotationPanels);
+      }
+      setupAnnotationNotes(deck);
       deck.on("fragmentshown", onAnnotationFragmentShown);
       deck.on("fragmenthidden", onAnnotationFragmentHidden);
-      deck.on("slidechanged", hideAllAnnotationTooltips);
+      deck.on("slidechanged", hideAllAnnotations);
     },
   };
 };
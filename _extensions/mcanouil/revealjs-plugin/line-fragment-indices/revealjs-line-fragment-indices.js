@@ -46,9 +46,14 @@ window.RevealJsLineFragmentIndices = function () {
     });
   }
 
+  // Reveal.js deck instance, set on init
+  let revealDeck = null;
+
   /**
    * Process all code blocks with line fragment indices attribute.
    * Modifies data-fragment-index on highlight clones to match specified indices.
+   * Indices are set from the attribute each time, so running it again leaves
+   * processed code blocks unchanged.
    * @param {Object} deck - Reveal.js deck instance.
    */
   function processLineFragmentIndices(deck) {
@@ -97,9 +102,25 @@ window.RevealJsLineFragmentIndices = function () {
     id: "RevealJsLineFragmentIndices",
 
     init: function (deck) {
+      revealDeck = deck;
+
       deck.on("ready", function () {
         processLineFragmentIndices(deck);
       });
+
+      window.MCanouilDeckSync?.subscribe(deck, function () {
+        processLineFragmentIndices(deck);
+      });
+    },
+
+    /**
+     * Apply line fragment indices again, for code blocks added after the
+     * deck is ready. Runs on its own after every deck.sync() call.
+     */
+    refresh: function () {
+      if (revealDeck) {
+        processLineFragmentIndices(revealDeck);
+      }
     },
   };
 };
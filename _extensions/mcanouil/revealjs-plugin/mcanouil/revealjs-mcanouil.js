@@ -3,9 +3,16 @@
  *
  * A comprehensive Reveal.js plugin providing:
  * - Section slide detection and outline generation.
- * - Date superscript formatting (1st, 2nd, 3rd).
- * - Favicon generation from slide logo.
- * - Title slide chrome visibility (menu/logo/footer/slide-number).
+ * - Section progress breadcrumb on content slides.
+ * - Agenda slide generation with current-section highlighting.
+ * - Section keyboard navigation and section overview.
+ * - Per-section time budgets with pacing in the speaker view.
+ * - Deck outline export as Markdown or JSON.
+ * - Locale-aware date superscript formatting (1st, 1er, 1º).
+ * - Favicon generation from slide logo, with colour-scheme variants.
+ * - Per-slide chrome visibility (menu/logo/footer/slide-number).
+ * - Debug borders, slide overflow report, and fragment timeline.
+ * - Social handle normalisation from a platform registry.
  *
  * @license MIT
  * @copyright 2026 Mickaël Canouil
@@ -19,20 +26,79 @@ window.RevealJsMCanouil = function () {
   // Default configuration
   const defaults = {
     sectionOutline: true,
+    sectionOutlineDepth: 2,
+    sectionProgress: false,
+    agenda: false,
+    agendaSubsections: false,
+    sectionNavigation: true,
     dateSuperscript: true,
+    dateOrdinalStyle: "superscript",
     faviconFromLogo: true,
     hideTitleSlideChrome: true,
     debugBorders: false,
+    socialPlatforms: {},
+    chrome: {},
+    outlineExportFormat: "markdown",
+    outlineExportTarget: "download",
+    outlineExportWordCounts: false,
   };
 
   let config = {};
 
+  // Detected sections, in document order
+  let sections = [];
+
+  // Section and subsection position of each slide
+  let slidePositions = new WeakMap();
+
+  // Ids of the slides shown so far
+  const visitedSlides = new Set();
+
+  // Index of the section holding the current slide
+  let currentSectionIndex = -1;
+
+  // Reveal.js deck instance, for the public API
+  let revealDeck = null;
+
+  // Reveal.js keyboard setting, suspended while the section overview is open
+  let savedKeyboardConfig = true;
+
+  // Slide, budget, and elapsed seconds of each section, when sections have
+  // budgets
+  let sectionTimings = [];
+
+  // Whether section time budgets are tracked in this view
+  let sectionTimingActive = false;
+
+  // Whether the slides are being processed
+  let processing = false;
+
+  // Fragment index written in the source of each fragment, read before
+  // Reveal.js renumbers them (null when the fragment had none)
+  const authoredIndices = new WeakMap();
+
+  // Section being timed, and when its current timing period started
+  const timingState = { sectionIndex: -1, since: 0, paused: false };
+
+  // Favicon sizes in pixels
+  const FAVICON_SIZE = 64;
+  const TOUCH_ICON_SIZE = 180;
+
+  // Agenda slide title per language, English for unsupported languages
+  const AGENDA_TITLES = {
+    en: "Agenda",
+    fr: "Sommaire",
+    de: "Agenda",
+    es: "Índice",
+  };
+
   // =========================================================================
   // SECTION SLIDES
   // =========================================================================
 
   /**
    * Get direct h1 child of a section (not inherited from nested sections).
+   * Headings already wrapped in a section banner are still found.
    * @param {Element} section - Section element.
    * @returns {Element|null} The h1 element if found.
    */
@@ -41,6 +107,10 @@ window.RevealJsMCanouil = function () {
       if (child.tagName === "H1") {
         return child;
       }
+      if (child.classList.contains("section-banner")) {
+        const h1 = child.querySelector(":scope > h1");
+        if (h1) return h1;
+      }
     }
     return null;
   }
@@ -63,19 +133,16 @@ window.RevealJsMCanouil = function () {
   }
 
   /**
-   * Collect subsections (h2 headings) from sibling slides until next section.
-   * Skips duplicated headings (only first occurrence is included) and
-   * headings marked with .unlisted class.
+   * Get the slides that follow a section slide, until the next section.
    * @param {Element} sectionSlide - The section slide element.
-   * @returns {Array} Array of subsection objects with text and id.
+   * @returns {Array<Element>} Content slides of the section.
    */
-  function collectSubsections(sectionSlide) {
-    const subsections = [];
-    const seenTexts = new Set();
+  function getSectionContentSlides(sectionSlide) {
+    const slides = [];
     const parent = sectionSlide.parentElement;
 
     if (parent?.tagName === "SECTION") {
-      // Nested structure: collect h2s from sibling sections within the stack
+      // Nested structure: sibling sections within the stack
       let foundCurrent = false;
 
       for (const sibling of parent.children) {
@@ -87,75 +154,113 @@ window.RevealJsMCanouil = function () {
 
         if (getDirectH1(sibling)) break;
 
-        // Skip unlisted slides
-        if (sibling.classList.contains("unlisted")) continue;
-
-        const h2 = sibling.querySelector("h2");
-        if (h2) {
-          // Skip unlisted headings
-          if (h2.classList.contains("unlisted")) continue;
-
-          const text = h2.textContent.trim();
-          const normalisedText = text.toLowerCase();
-
-          // Skip duplicates
-          if (seenTexts.has(normalisedText)) continue;
-          seenTexts.add(normalisedText);
-
-          subsections.push({
-            text: text,
-            id: sibling.id || "",
-          });
-        }
+        slides.push(sibling);
       }
     } else {
-      // Flat structure: collect from following top-level sections
+      // Flat structure: following top-level sections
       let current = sectionSlide.nextElementSibling;
 
       while (current) {
-        if (current.tagName !== "SECTION") {
-          current = current.nextElementSibling;
-          continue;
+        if (current.tagName === "SECTION") {
+          if (
+            getDirectH1(current) ||
+            [...current.children].some(
+              (child) => child.tagName === "SECTION" && getDirectH1(child)
+            )
+          ) {
+            break;
+          }
+          slides.push(current);
         }
+        current = current.nextElementSibling;
+      }
+    }
 
-        if (
-          getDirectH1(current) ||
-          current.querySelector(":scope > section > h1")
-        ) {
-          break;
-        }
+    return slides;
+  }
 
-        // Skip unlisted slides
-        if (current.classList.contains("unlisted")) {
-          current = current.nextElementSibling;
-          continue;
-        }
+  /**
+   * Add h3 headings of a slide as children of a subsection.
+   * Skips duplicated headings within the subsection and headings marked with
+   * .unlisted class.
+   * @param {Object} subsection - Subsection object to add children to.
+   * @param {Element} slide - Slide element holding the headings.
+   * @param {Set} seenTexts - Normalised texts already in the subsection.
+   */
+  function collectChildHeadings(subsection, slide, seenTexts) {
+    for (const h3 of slide.querySelectorAll("h3")) {
+      // Skip unlisted headings
+      if (h3.classList.contains("unlisted")) continue;
+
+      const text = h3.textContent.trim();
+      const normalisedText = text.toLowerCase();
+
+      // Skip duplicates
+      if (!text || seenTexts.has(normalisedText)) continue;
+      seenTexts.add(normalisedText);
+
+      subsection.children.push({
+        text: text,
+        id: slide.id || "",
+        children: [],
+      });
+    }
+  }
 
-        const h2 = current.querySelector("h2");
-        if (h2) {
-          // Skip unlisted headings
-          if (h2.classList.contains("unlisted")) {
-            current = current.nextElementSibling;
-            continue;
-          }
+  /**
+   * Collect subsections (h2 headings) from sibling slides until next section.
+   * With a depth of 3, h3 headings are collected as children of the preceding
+   * h2 heading.
+   * Skips duplicated headings (only first occurrence is included),
+   * headings marked with .unlisted class, and agenda slides.
+   * @param {Element} sectionSlide - The section slide element.
+   * @param {number} [depth=2] - Deepest heading level to collect.
+   * @returns {Array} Array of subsection objects with text, id, and children.
+   */
+  function collectSubsections(sectionSlide, depth = 2) {
+    const subsections = [];
+    const seenTexts = new Map();
+    const seenChildTexts = new Map();
+    let parentSubsection = null;
 
-          const text = h2.textContent.trim();
-          const normalisedText = text.toLowerCase();
+    for (const slide of getSectionContentSlides(sectionSlide)) {
+      // Skip unlisted and agenda slides
+      if (
+        slide.classList.contains("unlisted") ||
+        slide.classList.contains("agenda")
+      ) {
+        continue;
+      }
 
-          // Skip duplicates
-          if (seenTexts.has(normalisedText)) {
-            current = current.nextElementSibling;
-            continue;
-          }
-          seenTexts.add(normalisedText);
+      const h2 = slide.querySelector("h2");
+      if (h2) {
+        // Skip unlisted headings
+        if (h2.classList.contains("unlisted")) continue;
 
-          subsections.push({
+        const text = h2.textContent.trim();
+        const normalisedText = text.toLowerCase();
+
+        // Duplicates continue the first occurrence
+        if (seenTexts.has(normalisedText)) {
+          parentSubsection = seenTexts.get(normalisedText);
+        } else {
+          parentSubsection = {
             text: text,
-            id: current.id || "",
-          });
+            id: slide.id || "",
+            children: [],
+          };
+          seenTexts.set(normalisedText, parentSubsection);
+          seenChildTexts.set(parentSubsection, new Set());
+          subsections.push(parentSubsection);
         }
+      }
 
-        current = current.nextElementSibling;
+      if (depth >= 3 && parentSubsection) {
+        collectChildHeadings(
+          parentSubsection,
+          slide,
+          seenChildTexts.get(parentSubsection)
+        );
       }
     }
 
@@ -163,40 +268,58 @@ window.RevealJsMCanouil = function () {
   }
 
   /**
-   * Add subsection outline to section slide.
-   * @param {Element} slide - Section slide element.
-   * @param {Array} subsections - Array of subsection objects.
+   * Build a nested list of outline links.
+   * @param {Array} items - Array of objects with text, id, and children.
+   * @param {number} [level=1] - Nesting level of the list.
+   * @returns {Element} The list element.
    */
-  function addSectionOutline(slide, subsections) {
-    const outline = document.createElement("div");
-    outline.className = "section-outline";
-    outline.setAttribute("role", "navigation");
-    outline.setAttribute("aria-label", "Section outline");
-
+  function buildOutlineList(items, level = 1) {
     const ul = document.createElement("ul");
     ul.setAttribute("role", "list");
 
-    for (const sub of subsections) {
+    for (const item of items) {
       const li = document.createElement("li");
       const a = document.createElement("a");
-      a.href = `#/${sub.id}`;
-      a.textContent = sub.text;
-      a.setAttribute("title", `Jump to: ${sub.text}`);
+      a.href = `#/${item.id}`;
+      a.dataset.slideId = item.id;
+      a.dataset.outlineLevel = level;
+      a.textContent = item.text;
+      a.setAttribute("title", `Jump to: ${item.text}`);
       li.appendChild(a);
+
+      if (item.children?.length > 0) {
+        li.appendChild(buildOutlineList(item.children, level + 1));
+      }
+
       ul.appendChild(li);
     }
 
-    outline.appendChild(ul);
+    return ul;
+  }
+
+  /**
+   * Add subsection outline to section slide.
+   * @param {Element} slide - Section slide element.
+   * @param {Array} subsections - Array of subsection objects.
+   */
+  function addSectionOutline(slide, subsections) {
+    const outline = document.createElement("div");
+    outline.className = "section-outline";
+    outline.setAttribute("role", "navigation");
+    outline.setAttribute("aria-label", "Section outline");
+
+    outline.appendChild(buildOutlineList(subsections));
     slide.insertBefore(outline, slide.firstChild);
   }
 
   /**
-   * Process section slides (level-1 headings) and add styling/outlines.
+   * Detect section slides (level-1 headings) and their subsections.
+   * Stores the detected sections for the other features of the plugin.
    * @param {Object} cfg - Plugin configuration.
    */
-  function processSectionSlides(cfg) {
+  function detectSections(cfg) {
     const allSections = document.querySelectorAll(".reveal .slides section");
-    const sectionSlides = [];
+    const detected = [];
 
     for (const section of allSections) {
       if (
@@ -208,252 +331,2209 @@ window.RevealJsMCanouil = function () {
 
       const h1 = getDirectH1(section);
       if (h1) {
-        sectionSlides.push({ section, h1 });
-        section.classList.add("section-slide");
-        wrapInBanner(section, h1);
+        detected.push({
+          slide: section,
+          h1: h1,
+          title: h1.textContent.trim(),
+          subsections: collectSubsections(section, cfg.sectionOutlineDepth),
+        });
       }
     }
 
-    if (cfg.sectionOutline) {
-      for (const { section } of sectionSlides) {
-        const subsections = collectSubsections(section);
-        if (subsections.length > 0) {
-          addSectionOutline(section, subsections);
-        }
+    sections = detected;
+  }
+
+  /**
+   * Add styling and outlines to the detected section slides.
+   * @param {Object} cfg - Plugin configuration.
+   */
+  function processSectionSlides(cfg) {
+    for (const { slide, h1, subsections } of sections) {
+      slide.classList.add("section-slide");
+      wrapInBanner(slide, h1);
+
+      if (cfg.sectionOutline && subsections.length > 0) {
+        addSectionOutline(slide, subsections);
       }
     }
   }
 
-  // =========================================================================
-  // DATE SUPERSCRIPT
-  // =========================================================================
-
   /**
-   * Convert ordinal day numbers (1st, 2nd, 3rd, etc.) to superscript format.
+   * Detect sections and rebuild everything generated from them.
+   * Outlines and agenda lists from a previous run are removed first.
+   * @param {Object} deck - Reveal.js deck instance.
+   * @param {Object} cfg - Plugin configuration.
+   * @returns {boolean} True if an agenda slide was inserted.
    */
-  function formatDates() {
-    const selectors = [
-      ".mcanouil-title-slide .date",
-      ".quarto-title-block .date",
-      ".title-content .date",
-      "p.date",
-      ".date",
-      "div.listing-date",
-    ];
+  function processSections(deck, cfg) {
+    const slidesElement = deck.getSlidesElement();
+
+    for (const el of slidesElement.querySelectorAll(
+      ".section-outline, .agenda-list"
+    )) {
+      el.remove();
+    }
 
-    const dateElements = document.querySelectorAll(selectors.join(", "));
+    const inserted = cfg.agenda && insertAgendaSlide(deck);
+    const hasAgenda = slidesElement.querySelector("section.agenda") !== null;
 
-    for (const el of dateElements) {
-      el.innerHTML = el.innerHTML.replace(
-        /(\d+)(st|nd|rd|th)\b/gi,
-        "$1<sup>$2</sup>"
-      );
+    detectSections(cfg);
+
+    if (cfg.sectionOutline || cfg.sectionProgress || hasAgenda) {
+      processSectionSlides(cfg);
+    }
+    if (hasAgenda) {
+      fillAgendaSlides(deck, cfg);
+    }
+    mapSlidesToSections(deck);
+    if (cfg.sectionOutline) {
+      updateOutlineState(deck);
+    }
+    if (cfg.sectionProgress) {
+      updateSectionProgress(deck);
     }
-  }
 
-  // =========================================================================
-  // FAVICON FROM LOGO
-  // =========================================================================
+    return inserted;
+  }
 
   /**
-   * Update or create a favicon link element.
-   * @param {string} rel - Link rel attribute.
-   * @param {string} href - Favicon URL.
-   * @param {string} type - MIME type.
+   * Map every slide to the section and subsection it belongs to.
+   * Slides before the first section get a section index of -1, and slides
+   * before the first subsection of a section get a subsection index of -1.
+   * @param {Object} deck - Reveal.js deck instance.
    */
-  function updateFaviconLink(rel, href, type) {
-    let link = document.querySelector(`link[rel="${rel}"]`);
-    if (!link) {
-      link = document.createElement("link");
-      link.rel = rel;
-      document.head.appendChild(link);
+  function mapSlidesToSections(deck) {
+    slidePositions = new WeakMap();
+    let sectionIndex = -1;
+    let subsectionIndex = -1;
+
+    for (const slide of deck.getSlides()) {
+      const index = sections.findIndex((s) => s.slide === slide);
+
+      if (index !== -1) {
+        sectionIndex = index;
+        subsectionIndex = -1;
+      } else if (sectionIndex !== -1 && slide.id) {
+        const subIndex = sections[sectionIndex].subsections.findIndex(
+          (sub) => sub.id === slide.id
+        );
+        if (subIndex !== -1) {
+          subsectionIndex = subIndex;
+        }
+      }
+
+      slidePositions.set(slide, { sectionIndex, subsectionIndex });
     }
-    link.type = type;
-    link.href = href;
   }
 
   /**
-   * Automatically generate favicon from the presentation logo.
+   * Get the section and subsection position of a slide.
+   * @param {Element} slide - Slide element.
+   * @returns {Object} Object with sectionIndex and subsectionIndex.
    */
-  function setFaviconFromLogo() {
-    const logo = document.querySelector("img.slide-logo[src]");
-    if (!logo) return;
+  function getSlidePosition(slide) {
+    return (
+      slidePositions.get(slide) || { sectionIndex: -1, subsectionIndex: -1 }
+    );
+  }
 
-    const logoSrc = logo.getAttribute("src");
-    if (!logoSrc) return;
+  /**
+   * Check whether a slide is the title or closing slide.
+   * @param {Element} slide - Slide element.
+   * @returns {boolean} True for title and closing slides.
+   */
+  function isTitleOrClosingSlide(slide) {
+    return (
+      slide?.classList.contains("mcanouil-title-slide") ||
+      slide?.classList.contains("quarto-title-block") ||
+      slide?.classList.contains("mcanouil-closing-slide") ||
+      false
+    );
+  }
 
-    const extension = logoSrc.split(".").pop().toLowerCase();
-    const mimeTypes = {
-      svg: "image/svg+xml",
-      png: "image/png",
-      ico: "image/x-icon",
-      jpg: "image/jpeg",
-      jpeg: "image/jpeg",
-    };
-    const mimeType = mimeTypes[extension] || "image/png";
+  /**
+   * Mark outline links of the current section as visited or current.
+   * Outlines keep their state while the presenter is on the section slide,
+   * so returning to it shows the progress made through the section.
+   * @param {Object} deck - Reveal.js deck instance.
+   */
+  function updateOutlineState(deck) {
+    const slide = deck.getCurrentSlide();
+    if (!slide) return;
+
+    if (slide.id) {
+      visitedSlides.add(slide.id);
+    }
+
+    const { sectionIndex, subsectionIndex } = getSlidePosition(slide);
+    const section = sections[sectionIndex];
+    if (!section || section.slide === slide) return;
 
-    updateFaviconLink("icon", logoSrc, mimeType);
-    updateFaviconLink("shortcut icon", logoSrc, mimeType);
+    const outline = section.slide.querySelector(":scope > .section-outline");
+    if (!outline) return;
+
+    const currentId = section.subsections[subsectionIndex]?.id;
+
+    for (const link of outline.querySelectorAll("a[data-slide-id]")) {
+      const id = link.dataset.slideId;
+      const isCurrent =
+        link.dataset.outlineLevel === "1"
+          ? id !== "" && id === currentId
+          : id !== "" && id === slide.id;
+
+      link.classList.toggle("visited", visitedSlides.has(id));
+      link.classList.toggle("current", isCurrent);
+      if (isCurrent) {
+        link.setAttribute("aria-current", "location");
+      } else {
+        link.removeAttribute("aria-current");
+      }
+    }
   }
 
   // =========================================================================
-  // TITLE SLIDE CHROME VISIBILITY
+  // SECTION PROGRESS
   // =========================================================================
 
   /**
-   * Update menu button, logo, slide number, and footer visibility.
-   * Hide on title slide, show on all other slides.
+   * Create the section progress breadcrumb overlay.
+   * @param {Object} deck - Reveal.js deck instance.
+   * @returns {Element} The overlay element.
    */
-  function updateTitleSlideChrome() {
-    const currentSlide = document.querySelector(
-      ".reveal .slides > section.present, .reveal .slides > section > section.present"
-    );
-    const isTitle =
-      currentSlide?.classList.contains("mcanouil-title-slide") ||
-      currentSlide?.classList.contains("quarto-title-block");
+  function createSectionProgress(deck) {
+    const progress = document.createElement("div");
+    progress.className = "section-progress";
+    progress.setAttribute("role", "status");
+    progress.setAttribute("aria-live", "polite");
+    progress.hidden = true;
 
-    const display = isTitle ? "none" : "";
+    const title = document.createElement("span");
+    title.className = "section-progress-title";
 
-    const elements = [
-      ".slide-menu-button",
-      "div.has-logo > img.slide-logo",
-      ".reveal .slide-number",
-      ".reveal .footer",
-    ];
+    const count = document.createElement("span");
+    count.className = "section-progress-count";
 
-    for (const selector of elements) {
-      const el = document.querySelector(selector);
-      if (el) {
-        el.style.display = display;
-      }
+    progress.appendChild(title);
+    progress.appendChild(count);
+    deck.getRevealElement().appendChild(progress);
+
+    return progress;
+  }
+
+  /**
+   * Update the section progress breadcrumb for the current slide.
+   * Hidden on the title, closing, section, and agenda slides, and before the
+   * first section.
+   * @param {Object} deck - Reveal.js deck instance.
+   */
+  function updateSectionProgress(deck) {
+    const progress =
+      deck.getRevealElement().querySelector(".section-progress") ||
+      createSectionProgress(deck);
+
+    const slide = deck.getCurrentSlide();
+    const { sectionIndex, subsectionIndex } = getSlidePosition(slide);
+    const section = sections[sectionIndex];
+
+    if (
+      !section ||
+      isTitleOrClosingSlide(slide) ||
+      slide.classList.contains("section-slide") ||
+      slide.classList.contains("agenda")
+    ) {
+      progress.hidden = true;
+      return;
+    }
+
+    const total = section.subsections.length;
+    const title = progress.querySelector(".section-progress-title");
+    const count = progress.querySelector(".section-progress-count");
+
+    title.textContent = section.title;
+
+    if (subsectionIndex !== -1 && total > 0) {
+      count.textContent = `${subsectionIndex + 1}/${total}`;
+      count.hidden = false;
+      progress.setAttribute(
+        "aria-label",
+        `${section.title}, subsection ${subsectionIndex + 1} of ${total}`
+      );
+    } else {
+      count.textContent = "";
+      count.hidden = true;
+      progress.setAttribute("aria-label", section.title);
     }
+
+    progress.hidden = false;
   }
 
   // =========================================================================
-  // DEBUG BORDERS
+  // AGENDA
   // =========================================================================
 
   /**
-   * Apply debug borders to all slides for overflow detection.
+   * Insert an agenda slide after the title slide, titled in the document
+   * language. Does nothing if the deck already has an agenda slide.
+   * Reveal.js is not synced here, as sections are not rebuilt yet.
+   * @param {Object} deck - Reveal.js deck instance.
+   * @returns {boolean} True if a slide was inserted.
    */
-  function applyDebugBorders() {
-    const slidesContainer = document.querySelector(".reveal .slides");
-    if (slidesContainer) {
-      slidesContainer.style.outline = "2px dashed magenta";
-      slidesContainer.style.outlineOffset = "-2px";
+  function insertAgendaSlide(deck) {
+    const slidesContainer = deck.getSlidesElement();
+    if (slidesContainer.querySelector("section.agenda")) return false;
+
+    const agenda = document.createElement("section");
+    agenda.id = "agenda";
+    agenda.className = "slide level2 agenda";
+
+    const heading = document.createElement("h2");
+    heading.textContent =
+      window.MCanouilOrdinalDates?.localise(slidesContainer, AGENDA_TITLES) ??
+      AGENDA_TITLES.en;
+    agenda.appendChild(heading);
+
+    const titleSlide = slidesContainer.querySelector(
+      ":scope > section.mcanouil-title-slide, :scope > section.quarto-title-block"
+    );
+    if (titleSlide) {
+      titleSlide.after(agenda);
+    } else {
+      slidesContainer.insertBefore(agenda, slidesContainer.firstChild);
     }
 
-    const sections = document.querySelectorAll(".reveal .slides > section");
+    return true;
+  }
+
+  /**
+   * Build the agenda list of sections, with optional nested subsections.
+   * @param {Object} cfg - Plugin configuration.
+   * @returns {Element} The agenda navigation element.
+   */
+  function buildAgendaList(cfg) {
+    const nav = document.createElement("nav");
+    nav.className = "agenda-list";
+    nav.setAttribute("aria-label", "Agenda");
+
+    const ol = document.createElement("ol");
+    ol.setAttribute("role", "list");
 
     for (const section of sections) {
-      let borderColour = "red";
+      const li = document.createElement("li");
+      li.className = "agenda-section";
 
-      if (
-        section.classList.contains("mcanouil-title-slide") ||
-        section.classList.contains("mcanouil-closing-slide")
-      ) {
-        borderColour = "green";
-      } else if (section.classList.contains("section-slide")) {
-        borderColour = "orange";
+      const a = document.createElement("a");
+      if (section.slide.id) {
+        a.href = `#/${section.slide.id}`;
       }
+      a.textContent = section.title;
+      a.setAttribute("title", `Jump to: ${section.title}`);
+      li.appendChild(a);
 
-      section.style.border = `3px solid ${borderColour}`;
-      section.style.boxSizing = "border-box";
-
-      const nestedSections = section.querySelectorAll("section");
-      for (const nested of nestedSections) {
-        nested.style.border = "3px solid blue";
-        nested.style.boxSizing = "border-box";
+      if (cfg.agendaSubsections && section.subsections.length > 0) {
+        li.appendChild(buildOutlineList(section.subsections, 2));
       }
+
+      ol.appendChild(li);
     }
-  }
 
-  // =========================================================================
-  // SOCIAL HANDLES
-  // =========================================================================
+    nav.appendChild(ol);
+    return nav;
+  }
 
   /**
-   * Process social handle elements to extract just the handle from URLs.
+   * Fill every agenda slide with the detected sections.
+   * When the deck has more than one agenda slide, each one highlights the
+   * section that follows it and dims the sections already presented.
+   * @param {Object} deck - Reveal.js deck instance.
+   * @param {Object} cfg - Plugin configuration.
    */
-  function processSocialHandles() {
-    const handles = document.querySelectorAll(".social-handle");
+  function fillAgendaSlides(deck, cfg) {
+    const agendaSlides = deck
+      .getSlidesElement()
+      .querySelectorAll("section.agenda");
+    if (agendaSlides.length === 0 || sections.length === 0) return;
 
-    for (const handle of handles) {
-      let text = handle.textContent.trim();
+    const slides = deck.getSlides();
+    const sectionSlideIndices = sections.map((s) => slides.indexOf(s.slide));
+    const highlight = agendaSlides.length > 1;
 
-      const lastSlashIndex = text.lastIndexOf("/");
-      if (lastSlashIndex !== -1 && lastSlashIndex < text.length - 1) {
-        text = text.substring(lastSlashIndex + 1);
-      }
+    for (const agenda of agendaSlides) {
+      agenda.querySelector(":scope > .agenda-list")?.remove();
 
-      try {
-        text = decodeURIComponent(text);
-      } catch {
-        // Keep original if decoding fails
-      }
+      const nav = buildAgendaList(cfg);
+      agenda.appendChild(nav);
 
-      const parent = handle.closest(".social-link");
-      if (parent) {
-        const needsAtPrefix =
-          parent.classList.contains("github") ||
-          parent.classList.contains("bluesky") ||
-          parent.classList.contains("mastodon");
-
-        if (needsAtPrefix && !text.startsWith("@")) {
-          text = `@${text}`;
+      if (!highlight) continue;
+
+      const agendaIndex = slides.indexOf(agenda);
+      const items = nav.querySelectorAll(":scope > ol > li");
+
+      for (const [i, item] of [...items].entries()) {
+        if (sectionSlideIndices[i] < agendaIndex) {
+          item.classList.add("agenda-done");
+        } else if (i === 0 || sectionSlideIndices[i - 1] < agendaIndex) {
+          item.classList.add("agenda-current");
+          item.setAttribute("aria-current", "step");
         }
       }
-
-      handle.textContent = text;
     }
   }
 
   // =========================================================================
-  // PLUGIN RETURN
+  // SECTION NAVIGATION
   // =========================================================================
 
-  return {
-    id: "mcanouil-revealjs",
+  /**
+   * Keyboard shortcuts for section navigation, as Reveal.js key bindings.
+   */
+  const SECTION_KEYS = {
+    next: { keyCode: 221, key: "]", description: "Next section" },
+    previous: {
+      keyCode: 219,
+      key: "[",
+      description: "Start of section or previous section",
+    },
+    overview: { keyCode: 84, key: "T", description: "Section overview" },
+  };
 
-    init: function (deck) {
-      const deckConfig = deck.getConfig();
+  /**
+   * Navigate to the next section, or back to the start of the current one.
+   * Going back from a section slide moves to the previous section.
+   * @param {Object} deck - Reveal.js deck instance.
+   * @param {number} direction - 1 for the next section, -1 for previous.
+   */
+  function goToAdjacentSection(deck, direction) {
+    const slide = deck.getCurrentSlide();
+    const { sectionIndex } = getSlidePosition(slide);
+
+    if (direction > 0) {
+      goToSection(deck, sectionIndex + 1);
+    } else if (sections[sectionIndex]?.slide === slide) {
+      goToSection(deck, sectionIndex - 1);
+    } else {
+      goToSection(deck, sectionIndex);
+    }
+  }
 
-      // Read from extensions.mcanouil namespace
-      const mcanouil = deckConfig["extensions"]?.["mcanouil"] || {};
+  /**
+   * Create the section overview overlay.
+   * @param {Object} deck - Reveal.js deck instance.
+   * @returns {Element} The overlay element.
+   */
+  function createSectionOverview(deck) {
+    const overlay = document.createElement("div");
+    overlay.className = "section-overview";
+    overlay.setAttribute("role", "dialog");
+    overlay.setAttribute("aria-modal", "true");
+    overlay.setAttribute("aria-label", "Section overview");
+    overlay.hidden = true;
+
+    overlay.addEventListener("keydown", function (event) {
+      const buttons = [...overlay.querySelectorAll(".section-overview-item")];
+      const index = buttons.indexOf(document.activeElement);
+
+      if (event.key === "Escape" || event.key.toLowerCase() === "t") {
+        closeSectionOverview(deck);
+      } else if (event.key === "ArrowRight" || event.key === "ArrowDown") {
+        buttons[Math.min(index + 1, buttons.length - 1)]?.focus();
+      } else if (event.key === "ArrowLeft" || event.key === "ArrowUp") {
+        buttons[Math.max(index - 1, 0)]?.focus();
+      } else {
+        return;
+      }
 
-      // Build config from extensions.mcanouil.* options
-      config = {
-        ...defaults,
-        sectionOutline: mcanouil["section-outline"] ?? defaults.sectionOutline,
-        dateSuperscript: mcanouil["date-superscript"] ?? defaults.dateSuperscript,
-        faviconFromLogo: mcanouil["favicon-from-logo"] ?? defaults.faviconFromLogo,
-        hideTitleSlideChrome:
-          mcanouil["hide-title-slide-chrome"] ?? defaults.hideTitleSlideChrome,
-        debugBorders: mcanouil["debug-borders"] ?? defaults.debugBorders,
-      };
+      event.preventDefault();
+      event.stopPropagation();
+    });
 
-      deck.on("ready", function () {
-        if (config.sectionOutline) {
-          processSectionSlides(config);
+    deck.getRevealElement().appendChild(overlay);
+    return overlay;
+  }
+
+  /**
+   * Open the section overview, a grid of section banners with their
+   * subsection counts. Enter on a banner jumps to its section.
+   * @param {Object} deck - Reveal.js deck instance.
+   */
+  function openSectionOverview(deck) {
+    if (sections.length === 0) return;
+
+    const overlay =
+      deck.getRevealElement().querySelector(".section-overview") ||
+      createSectionOverview(deck);
+    if (!overlay.hidden) return;
+
+    const { sectionIndex } = getSlidePosition(deck.getCurrentSlide());
+    const grid = document.createElement("div");
+    grid.className = "section-overview-grid";
+
+    for (const [index, section] of sections.entries()) {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "section-overview-item";
+      button.classList.toggle("current", index === sectionIndex);
+
+      const number = document.createElement("span");
+      number.className = "section-overview-number";
+      number.textContent = index + 1;
+
+      const title = document.createElement("span");
+      title.className = "section-overview-title";
+      title.textContent = section.title;
+
+      const count = document.createElement("span");
+      count.className = "section-overview-count";
+      const total = section.subsections.length;
+      count.textContent = `${total} ${total === 1 ? "subsection" : "subsections"}`;
+
+      button.append(number, title, count);
+      button.addEventListener("click", function () {
+        closeSectionOverview(deck);
+        goToSection(deck, index);
+      });
+
+      grid.appendChild(button);
+    }
+
+    overlay.replaceChildren(grid);
+
+    savedKeyboardConfig = deck.getConfig().keyboard;
+    deck.configure({ keyboard: false });
+    overlay.hidden = false;
+
+    const buttons = grid.querySelectorAll(".section-overview-item");
+    (buttons[Math.max(sectionIndex, 0)] || buttons[0]).focus();
+  }
+
+  /**
+   * Close the section overview and restore Reveal.js keyboard handling.
+   * @param {Object} deck - Reveal.js deck instance.
+   */
+  function closeSectionOverview(deck) {
+    const overlay = deck.getRevealElement().querySelector(".section-overview");
+    if (!overlay || overlay.hidden) return;
+
+    overlay.hidden = true;
+    deck.configure({ keyboard: savedKeyboardConfig });
+    deck.getRevealElement().focus?.();
+  }
+
+  /**
+   * Register the section navigation shortcuts in Reveal.js, which lists them
+   * in its help overlay.
+   * @param {Object} deck - Reveal.js deck instance.
+   */
+  function setupSectionNavigation(deck) {
+    deck.addKeyBinding(SECTION_KEYS.next, function () {
+      goToAdjacentSection(deck, 1);
+    });
+    deck.addKeyBinding(SECTION_KEYS.previous, function () {
+      goToAdjacentSection(deck, -1);
+    });
+    deck.addKeyBinding(SECTION_KEYS.overview, function () {
+      openSectionOverview(deck);
+    });
+  }
+
+  // =========================================================================
+  // SECTION TIMING
+  // =========================================================================
+
+  /**
+   * Parse a duration such as "5m", "1m30s", "1h", or "2:30".
+   * Plain numbers are seconds, as for Reveal.js data-timing.
+   * @param {string} value - Duration text.
+   * @returns {number|null} Duration in seconds, or null if invalid.
+   */
+  function parseDuration(value) {
+    if (value === undefined || value === null) return null;
+    const text = String(value).trim().toLowerCase();
+
+    if (/^\d+(\.\d+)?$/.test(text)) {
+      return parseFloat(text);
+    }
+
+    const clock = /^(?:(\d+):)?(\d+):(\d{2})$/.exec(text);
+    if (clock) {
+      return (
+        parseInt(clock[1] || "0", 10) * 3600 +
+        parseInt(clock[2], 10) * 60 +
+        parseInt(clock[3], 10)
+      );
+    }
+
+    const units = { h: 3600, m: 60, s: 1 };
+    const compact = text.replace(/\s+/g, "");
+    const parts = [...compact.matchAll(/(\d+(?:\.\d+)?)([hms])/g)];
+    if (parts.length === 0 || parts.map((p) => p[0]).join("") !== compact) {
+      return null;
+    }
+
+    return parts.reduce(
+      (total, [, amount, unit]) => total + parseFloat(amount) * units[unit],
+      0
+    );
+  }
+
+  /**
+   * Format seconds as m:ss, or h:mm:ss for an hour or more.
+   * @param {number} seconds - Duration in seconds.
+   * @returns {string} Formatted duration.
+   */
+  function formatClock(seconds) {
+    const total = Math.round(Math.abs(seconds));
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const sec = String(total % 60).padStart(2, "0");
+    return h > 0 ? `${h}:${String(m).padStart(2, "0")}:${sec}` : `${m}:${sec}`;
+  }
+
+  /**
+   * Escape text for use in notes HTML.
+   * @param {string} text - Plain text.
+   * @returns {string} Escaped text.
+   */
+  function escapeHtml(text) {
+    const span = document.createElement("span");
+    span.textContent = text;
+    return span.innerHTML;
+  }
+
+  /**
+   * Add the time spent since the last update to the current section.
+   */
+  function accumulateSectionTime() {
+    const now = performance.now();
+    const timing = sectionTimings[timingState.sectionIndex];
+
+    if (timing && !timingState.paused) {
+      timing.elapsed += (now - timingState.since) / 1000;
+    }
+    timingState.since = now;
+  }
+
+  /**
+   * Get the budget, elapsed time, and difference of every section.
+   * @returns {Array<Object>} Timing data with index, title, budget, elapsed,
+   *   and remaining seconds (budget minus elapsed, null without a budget).
+   */
+  function getSectionTimings() {
+    accumulateSectionTime();
+
+    return sectionTimings.map(({ budget, elapsed }, index) => ({
+      index: index,
+      title: sections[index]?.title ?? "",
+      budget: budget,
+      elapsed: elapsed,
+      remaining: budget === null ? null : budget - elapsed,
+    }));
+  }
+
+  /**
+   * Build the pacing notes of a section.
+   * The section line compares its elapsed time to its budget, and the overall
+   * line sums the balance of the sections presented so far.
+   * @param {Array<Object>} timings - Timing data from getSectionTimings.
+   * @param {number} index - Section index.
+   * @returns {string} Pacing HTML.
+   */
+  function buildPacingNotes(timings, index) {
+    const timing = timings[index];
+    const lines = [];
+
+    if (timing.budget !== null) {
+      const status =
+        timing.remaining >= 0
+          ? `${formatClock(timing.remaining)} left`
+          : `<span style="color: #cc0000;">${formatClock(timing.remaining)} over</span>`;
+      lines.push(
+        `<strong>${index + 1}/${timings.length} ${escapeHtml(timing.title)}</strong>: ${formatClock(timing.elapsed)} of ${formatClock(timing.budget)}, ${status}`
+      );
+    }
+
+    let balance = 0;
+    for (const t of timings.slice(0, index + 1)) {
+      if (t.budget === null) continue;
+      balance += t.index < index ? t.remaining : Math.min(0, t.remaining);
+    }
+
+    const colour = balance >= 0 ? "#009955" : "#cc0000";
+    const label = balance >= 0 ? "ahead" : "behind";
+    lines.push(
+      `Overall: <span style="color: ${colour};">${formatClock(balance)} ${label}</span>`
+    );
+
+    return lines.join("<br>");
+  }
+
+  /**
+   * Build the per-section timing summary shown on the last slide.
+   * @param {Array<Object>} timings - Timing data from getSectionTimings.
+   * @returns {string} Summary HTML.
+   */
+  function buildTimingSummary(timings) {
+    const rows = timings.map(
+      (t) =>
+        `<tr><td>${t.index + 1}. ${escapeHtml(t.title)}</td><td>${t.budget === null ? "-" : formatClock(t.budget)}</td><td>${formatClock(t.elapsed)}</td><td>${t.remaining === null ? "-" : `${t.remaining >= 0 ? "-" : "+"}${formatClock(t.remaining)}`}</td></tr>`
+    );
+
+    return `<strong>Section timings</strong><table><thead><tr><th>Section</th><th>Budget</th><th>Elapsed</th><th>Difference</th></tr></thead><tbody>${rows.join("")}</tbody></table>`;
+  }
+
+  /**
+   * Write the pacing block at the top of a slide's speaker notes.
+   * Speaker notes are hidden from the audience view.
+   * @param {Element} slide - Slide element.
+   * @param {string} html - Pacing HTML.
+   */
+  function setPacingNotes(slide, html) {
+    let notes = slide.querySelector(":scope > aside.notes");
+    if (!notes) {
+      notes = document.createElement("aside");
+      notes.className = "notes";
+      notes.dataset.mcanouilPacing = "true";
+      slide.appendChild(notes);
+    }
+
+    let block = notes.querySelector(":scope > .mcanouil-pacing");
+    if (!block) {
+      block = document.createElement("div");
+      block.className = "mcanouil-pacing";
+      block.style.marginBottom = "0.5em";
+      block.style.paddingBottom = "0.5em";
+      block.style.borderBottom = "1px solid currentColor";
+      notes.insertBefore(block, notes.firstChild);
+    }
+
+    if (block.innerHTML !== html) {
+      block.innerHTML = html;
+    }
+  }
+
+  /**
+   * Remove the pacing block from a slide's speaker notes, along with the
+   * notes element when it was only added for pacing.
+   * @param {Element} slide - Slide element.
+   */
+  function removePacingNotes(slide) {
+    const notes = slide.querySelector(":scope > aside.notes");
+    notes?.querySelector(":scope > .mcanouil-pacing")?.remove();
+
+    if (notes?.dataset.mcanouilPacing && notes.childElementCount === 0) {
+      notes.remove();
+    }
+  }
+
+  /**
+   * Write the pacing block into the speaker notes of the current slide.
+   * @param {Object} deck - Reveal.js deck instance.
+   */
+  function renderPacingNotes(deck) {
+    const slide = deck.getCurrentSlide();
+    if (!slide) return;
+
+    const timings = getSectionTimings();
+    const slides = deck.getSlides();
+    const { sectionIndex } = getSlidePosition(slide);
+
+    if (timings.length > 0 && slide === slides[slides.length - 1]) {
+      setPacingNotes(slide, buildTimingSummary(timings));
+    } else if (timings[sectionIndex]) {
+      setPacingNotes(slide, buildPacingNotes(timings, sectionIndex));
+    } else {
+      removePacingNotes(slide);
+    }
+  }
+
+  /**
+   * Read the data-duration budgets of the detected sections.
+   * Elapsed times are kept for sections that were already detected, so the
+   * budgets can be read again after the slides change.
+   * @param {Object} deck - Reveal.js deck instance.
+   */
+  function updateSectionBudgets(deck) {
+    accumulateSectionTime();
+
+    const elapsed = new Map(
+      sectionTimings.map((timing) => [timing.slide, timing.elapsed])
+    );
+    const budgets = sections.map(({ slide, title }) => {
+      const value =
+        slide.dataset.duration ??
+        slide.parentElement?.closest("section")?.dataset.duration;
+      const budget = parseDuration(value);
+      if (value !== undefined && budget === null) {
+        console.warn(
+          `[mcanouil] Invalid data-duration "${value}" on section "${title}".`
+        );
+      }
+      return budget;
+    });
+
+    sectionTimings = budgets.every((budget) => budget === null)
+      ? []
+      : sections.map(({ slide }, index) => ({
+          slide: slide,
+          budget: budgets[index],
+          elapsed: elapsed.get(slide) ?? 0,
+        }));
+    timingState.sectionIndex = getSlidePosition(
+      deck.getCurrentSlide()
+    ).sectionIndex;
+  }
+
+  /**
+   * Track time per section against data-duration budgets on section slides.
+   * Pacing goes to the speaker notes only, so the feature is skipped when
+   * notes are shown to the audience, in print, and in speaker view previews.
+   * The notes plugin sends the notes of the current slide on navigation,
+   * from its own listeners on the deck element. Pacing is therefore written
+   * in the capture phase on the document, before those listeners run, and
+   * only into the slide being sent.
+   * @param {Object} deck - Reveal.js deck instance.
+   */
+  function setupSectionTiming(deck) {
+    const params = new URLSearchParams(window.location.search);
+    if (
+      deck.getConfig().showNotes ||
+      params.has("print-pdf") ||
+      params.has("receiver")
+    ) {
+      return;
+    }
+
+    sectionTimingActive = true;
+    timingState.since = performance.now();
+    updateSectionBudgets(deck);
+
+    const wrapper = deck.getRevealElement();
+    const update = function (event) {
+      if (event.target !== wrapper) return;
+
+      if (event.type === "slidechanged") {
+        accumulateSectionTime();
+        timingState.sectionIndex = getSlidePosition(
+          event.currentSlide
+        ).sectionIndex;
+        if (event.previousSlide) {
+          removePacingNotes(event.previousSlide);
+        }
+      } else if (event.type === "paused") {
+        accumulateSectionTime();
+        timingState.paused = true;
+      } else if (event.type === "resumed") {
+        timingState.since = performance.now();
+        timingState.paused = false;
+      }
+
+      renderPacingNotes(deck);
+    };
+
+    for (const type of [
+      "slidechanged",
+      "fragmentshown",
+      "fragmenthidden",
+      "paused",
+      "resumed",
+    ]) {
+      document.addEventListener(type, update, true);
+    }
+
+    renderPacingNotes(deck);
+  }
+
+  // =========================================================================
+  // OUTLINE EXPORT
+  // =========================================================================
+
+  /**
+   * Keyboard shortcut for the outline export, as a Reveal.js key binding.
+   */
+  const OUTLINE_EXPORT_KEY = {
+    keyCode: 85,
+    key: "U",
+    description: "Export deck outline",
+  };
+
+  const OUTLINE_FORMATS = ["markdown", "json"];
+  const OUTLINE_TARGETS = ["download", "clipboard", "none"];
+
+  /**
+   * Count the words of a slide's speaker notes, without the pacing block.
+   * @param {Element} slide - Slide element.
+   * @returns {number} Number of words.
+   */
+  function countNoteWords(slide) {
+    let text = slide.getAttribute("data-notes") || "";
+
+    const notes = slide.querySelector(":scope > aside.notes");
+    if (!text && notes) {
+      const copy = notes.cloneNode(true);
+      copy.querySelector(":scope > .mcanouil-pacing")?.remove();
+      text = copy.textContent;
+    }
+
+    return text.split(/\s+/).filter(Boolean).length;
+  }
+
+  /**
+   * Build the URL of a slide, by id or by position when it has no id.
+   * @param {Object} deck - Reveal.js deck instance.
+   * @param {Element} slide - Slide element.
+   * @returns {string} Absolute slide URL.
+   */
+  function getSlideUrl(deck, slide) {
+    const base = `${window.location.origin}${window.location.pathname}`;
+    if (slide.id) return `${base}#/${slide.id}`;
+
+    const { h, v } = deck.getIndices(slide);
+    return v ? `${base}#/${h}/${v}` : `${base}#/${h}`;
+  }
+
+  /**
+   * Build the deck outline from the detected sections.
+   * Word counts sum the speaker notes of every slide under an entry.
+   * @param {Object} deck - Reveal.js deck instance.
+   * @param {boolean} wordCounts - Whether to count speaker note words.
+   * @returns {Object} Outline with title, url, and sections.
+   */
+  function buildOutline(deck, wordCounts) {
+    const slides = deck.getSlides();
+    const slideById = new Map(
+      slides.filter((slide) => slide.id).map((slide) => [slide.id, slide])
+    );
+
+    function buildEntry(title, slide, countedSlides) {
+      const entry = {
+        title: title,
+        id: slide?.id || "",
+        url: slide ? getSlideUrl(deck, slide) : "",
+      };
+      if (wordCounts) {
+        entry.words = countedSlides.reduce(
+          (total, counted) => total + countNoteWords(counted),
+          0
+        );
+      }
+      return entry;
+    }
+
+    const outlineSections = sections.map((section, sectionIndex) => {
+      const sectionSlides = slides.filter(
+        (slide) => getSlidePosition(slide).sectionIndex === sectionIndex
+      );
+
+      const entry = buildEntry(section.title, section.slide, sectionSlides);
+      entry.subsections = section.subsections.map((sub, subIndex) => {
+        const subEntry = buildEntry(
+          sub.text,
+          slideById.get(sub.id),
+          sectionSlides.filter(
+            (slide) => getSlidePosition(slide).subsectionIndex === subIndex
+          )
+        );
+        subEntry.children = sub.children.map((child) => {
+          const childSlide = slideById.get(child.id);
+          return buildEntry(
+            child.text,
+            childSlide,
+            childSlide ? [childSlide] : []
+          );
+        });
+        return subEntry;
+      });
+
+      return entry;
+    });
+
+    const titleSlide = deck
+      .getSlidesElement()
+      .querySelector(
+        ":scope > section.mcanouil-title-slide, :scope > section.quarto-title-block"
+      );
+
+    return {
+      title:
+        titleSlide?.querySelector("h1")?.textContent.trim() || document.title,
+      url: `${window.location.origin}${window.location.pathname}`,
+      sections: outlineSections,
+    };
+  }
+
+  /**
+   * Format the deck outline as Markdown, one heading per section and a
+   * nested list of subsections.
+   * @param {Object} outline - Outline from buildOutline.
+   * @returns {string} Markdown outline.
+   */
+  function formatOutlineMarkdown(outline) {
+    function formatLink(entry) {
+      const link = entry.url ? `[${entry.title}](${entry.url})` : entry.title;
+      if (entry.words === undefined) return link;
+      return `${link} (${entry.words} ${entry.words === 1 ? "word" : "words"})`;
+    }
+
+    function formatItems(items, indent) {
+      return items.flatMap((item) => [
+        `${indent}- ${formatLink(item)}`,
+        ...formatItems(item.children, `${indent}  `),
+      ]);
+    }
+
+    const lines = [`# ${outline.title}`];
+    outline.sections.forEach((section, index) => {
+      lines.push("", `## ${index + 1}. ${formatLink(section)}`);
+      if (section.subsections.length > 0) {
+        lines.push("", ...formatItems(section.subsections, ""));
+      }
+    });
+
+    return `${lines.join("\n")}\n`;
+  }
+
+  /**
+   * Save text as a file through a temporary download link.
+   * @param {string} text - File content.
+   * @param {string} filename - File name.
+   * @param {string} type - MIME type.
+   */
+  function downloadText(text, filename, type) {
+    const url = URL.createObjectURL(new Blob([text], { type: type }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Some browsers start the download after the click returns
+    setTimeout(function () {
+      URL.revokeObjectURL(url);
+    }, 0);
+  }
+
+  /**
+   * Export the deck outline as Markdown or JSON.
+   * @param {Object} deck - Reveal.js deck instance.
+   * @param {Object} cfg - Plugin configuration.
+   * @param {Object} [options] - Export options, defaulting to the
+   *   outline-export-* options.
+   * @param {string} [options.format] - "markdown" or "json".
+   * @param {string} [options.target] - "download", "clipboard", or "none".
+   * @param {boolean} [options.wordCounts] - Whether to count speaker note
+   *   words.
+   * @returns {string} The exported outline.
+   */
+  function exportOutline(deck, cfg, options = {}) {
+    let format = options.format ?? cfg.outlineExportFormat;
+    let target = options.target ?? cfg.outlineExportTarget;
+    const wordCounts = options.wordCounts ?? cfg.outlineExportWordCounts;
+
+    if (!OUTLINE_FORMATS.includes(format)) {
+      console.warn(
+        `[mcanouil] Unknown outline format "${format}". Using "markdown".`
+      );
+      format = "markdown";
+    }
+    if (!OUTLINE_TARGETS.includes(target)) {
+      console.warn(
+        `[mcanouil] Unknown outline target "${target}". Using "download".`
+      );
+      target = "download";
+    }
+
+    const outline = buildOutline(deck, wordCounts);
+    const text =
+      format === "json"
+        ? `${JSON.stringify(outline, null, 2)}\n`
+        : formatOutlineMarkdown(outline);
+
+    function download() {
+      const name =
+        window.location.pathname.split("/").pop().replace(/\.[^.]*$/, "") ||
+        "slides";
+      downloadText(
+        text,
+        `${name}-outline.${format === "json" ? "json" : "md"}`,
+        format === "json" ? "application/json" : "text/markdown"
+      );
+    }
+
+    if (target === "download") {
+      download();
+    } else if (target === "clipboard") {
+      // The clipboard needs a secure origin: download the outline instead
+      if (navigator.clipboard?.writeText) {
+        navigator.clipboard.writeText(text).catch(function (error) {
+          console.warn(
+            "[mcanouil] Could not copy the outline, downloading it instead:",
+            error
+          );
+          download();
+        });
+      } else {
+        console.warn(
+          "[mcanouil] Clipboard not available, downloading the outline instead."
+        );
+        download();
+      }
+    }
+
+    return text;
+  }
+
+  // =========================================================================
+  // DATE SUPERSCRIPT
+  // =========================================================================
+
+  /**
+   * Convert ordinal day numbers (1st, 1er, 1º, etc.) to superscript format.
+   * Uses the shared formatter loaded by the ordinal-dates filter, which reads
+   * the document language and only rewrites text nodes.
+   * @param {Object} cfg - Plugin configuration.
+   */
+  function formatDates(cfg) {
+    if (!window.MCanouilOrdinalDates) return;
+
+    const selectors = [
+      ".mcanouil-title-slide .date",
+      ".quarto-title-block .date",
+      ".title-content .date",
+      "p.date",
+      ".date",
+      "div.listing-date",
+    ];
+
+    window.MCanouilOrdinalDates.format(
+      document.querySelectorAll(selectors.join(", ")),
+      { style: cfg.dateOrdinalStyle }
+    );
+  }
+
+  // =========================================================================
+  // FAVICON FROM LOGO
+  // =========================================================================
+
+  /**
+   * Update or create a favicon link element.
+   * @param {string} rel - Link rel attribute.
+   * @param {string} href - Favicon URL.
+   * @param {string} type - MIME type.
+   */
+  function updateFaviconLink(rel, href, type) {
+    let link = document.querySelector(`link[rel="${rel}"]`);
+    if (!link) {
+      link = document.createElement("link");
+      link.rel = rel;
+      document.head.appendChild(link);
+    }
+    link.type = type;
+    link.href = href;
+  }
+
+  /**
+   * Guess the MIME type of an image from its URL or data URI.
+   * @param {string} src - Image URL.
+   * @returns {string} MIME type.
+   */
+  function getImageMimeType(src) {
+    const dataMatch = /^data:([^;,]+)/i.exec(src);
+    if (dataMatch) return dataMatch[1].toLowerCase();
+
+    const extension = src.split(/[?#]/)[0].split(".").pop().toLowerCase();
+    const mimeTypes = {
+      svg: "image/svg+xml",
+      png: "image/png",
+      ico: "image/x-icon",
+      jpg: "image/jpeg",
+      jpeg: "image/jpeg",
+    };
+    return mimeTypes[extension] || "image/png";
+  }
+
+  /**
+   * Rasterise an image to a square PNG data URI through a canvas.
+   * The image is scaled to fit and centred.
+   * @param {string} src - Image URL.
+   * @param {number} size - Width and height of the PNG in pixels.
+   * @returns {Promise<string|null>} PNG data URI, or null if the image cannot
+   *   be loaded or the canvas is tainted by a cross-origin image.
+   */
+  function rasteriseImage(src, size) {
+    return new Promise(function (resolve) {
+      const img = new Image();
+
+      img.onload = function () {
+        try {
+          const canvas = document.createElement("canvas");
+          canvas.width = size;
+          canvas.height = size;
+
+          const width = img.naturalWidth || size;
+          const height = img.naturalHeight || size;
+          const scale = Math.min(size / width, size / height);
+          const drawWidth = width * scale;
+          const drawHeight = height * scale;
+
+          canvas
+            .getContext("2d")
+            .drawImage(
+              img,
+              (size - drawWidth) / 2,
+              (size - drawHeight) / 2,
+              drawWidth,
+              drawHeight
+            );
+
+          resolve(canvas.toDataURL("image/png"));
+        } catch {
+          resolve(null);
+        }
+      };
+      img.onerror = function () {
+        resolve(null);
+      };
+
+      img.src = src;
+    });
+  }
+
+  /**
+   * Build the favicon set for a logo.
+   * SVG logos are rasterised to PNG for browsers that reject SVG favicons,
+   * and a PNG apple-touch-icon is always generated.
+   * @param {string} src - Logo URL.
+   * @returns {Promise<Object>} Favicon set with icon, type, and touchIcon.
+   */
+  async function buildFavicon(src) {
+    const type = getImageMimeType(src);
+    const [icon, touchIcon] = await Promise.all([
+      type === "image/svg+xml" ? rasteriseImage(src, FAVICON_SIZE) : null,
+      rasteriseImage(src, TOUCH_ICON_SIZE),
+    ]);
+
+    return {
+      icon: icon || src,
+      type: icon ? "image/png" : type,
+      touchIcon,
+    };
+  }
+
+  /**
+   * Apply a favicon set to the document head.
+   * @param {Object} favicon - Favicon set from buildFavicon.
+   */
+  function applyFavicon(favicon) {
+    updateFaviconLink("icon", favicon.icon, favicon.type);
+    updateFaviconLink("shortcut icon", favicon.icon, favicon.type);
+    if (favicon.touchIcon) {
+      updateFaviconLink("apple-touch-icon", favicon.touchIcon, "image/png");
+    }
+  }
+
+  /**
+   * Automatically generate favicon from the presentation logo.
+   * When the deck has light and dark logos (light-content and dark-content
+   * classes), the favicon follows the browser colour scheme.
+   */
+  async function setFaviconFromLogo() {
+    const logos = [...document.querySelectorAll("img.slide-logo[src]")].filter(
+      (logo) => logo.getAttribute("src")
+    );
+    if (logos.length === 0) return;
+
+    const lightLogo =
+      logos.find((logo) => logo.classList.contains("light-content")) ||
+      logos[0];
+    const darkLogo =
+      logos.find((logo) => logo.classList.contains("dark-content")) ||
+      lightLogo;
+
+    const lightFavicon = await buildFavicon(lightLogo.getAttribute("src"));
+    const darkFavicon =
+      darkLogo === lightLogo
+        ? lightFavicon
+        : await buildFavicon(darkLogo.getAttribute("src"));
+
+    const darkScheme = window.matchMedia?.("(prefers-color-scheme: dark)");
+
+    function update() {
+      applyFavicon(darkScheme?.matches ? darkFavicon : lightFavicon);
+    }
+
+    update();
+
+    if (darkFavicon !== lightFavicon) {
+      darkScheme?.addEventListener("change", update);
+    }
+  }
+
+  // =========================================================================
+  // SLIDE CHROME VISIBILITY
+  // =========================================================================
+
+  /**
+   * Built-in chrome elements, keyed by name.
+   * A slide with the .no-<name> class hides the matching elements, and a
+   * slide with the .no-chrome class hides them all.
+   */
+  const CHROME_ELEMENTS = {
+    menu: ".slide-menu-button",
+    logo: "div.has-logo > img.slide-logo",
+    "slide-number": ".reveal .slide-number",
+    footer: ".reveal .footer",
+    "section-progress": ".reveal .section-progress",
+  };
+
+  /**
+   * Build the managed chrome elements from built-in and author selectors.
+   * Author entries from extensions.mcanouil.chrome override built-in ones,
+   * add new ones, or stop managing an element when set to false.
+   * @param {Object} custom - Author selectors keyed by name.
+   * @returns {Object} Selectors keyed by name.
+   */
+  function buildChromeElements(custom) {
+    const elements = { ...CHROME_ELEMENTS, ...custom };
+
+    for (const [name, selector] of Object.entries(elements)) {
+      if (typeof selector !== "string" || selector === "") {
+        delete elements[name];
+      }
+    }
+
+    return elements;
+  }
+
+  /**
+   * Update the visibility of every managed chrome element.
+   * The title slide hides all of them when hide-title-slide-chrome is
+   * enabled. Any other slide, or its vertical stack, hides them with the
+   * .no-chrome class, or one at a time with .no-<name> classes.
+   * @param {Object} deck - Reveal.js deck instance.
+   * @param {Object} cfg - Plugin configuration.
+   */
+  function updateSlideChrome(deck, cfg) {
+    const currentSlide = deck.getCurrentSlide();
+    if (!currentSlide) return;
+
+    const stack = currentSlide.parentElement?.closest("section");
+    const hasClass = (name) =>
+      currentSlide.classList.contains(name) ||
+      stack?.classList.contains(name) ||
+      false;
+
+    const isTitle =
+      hasClass("mcanouil-title-slide") || hasClass("quarto-title-block");
+    const hideAll =
+      (cfg.hideTitleSlideChrome && isTitle) || hasClass("no-chrome");
+
+    for (const [name, selector] of Object.entries(cfg.chrome)) {
+      const display = hideAll || hasClass(`no-${name}`) ? "none" : "";
+
+      for (const el of document.querySelectorAll(selector)) {
+        el.style.display = display;
+      }
+    }
+  }
+
+  // =========================================================================
+  // DEBUG BORDERS
+  // =========================================================================
+
+  /**
+   * Apply debug borders to all slides for overflow detection.
+   */
+  function applyDebugBorders() {
+    const slidesContainer = document.querySelector(".reveal .slides");
+    if (slidesContainer) {
+      slidesContainer.style.outline = "2px dashed magenta";
+      slidesContainer.style.outlineOffset = "-2px";
+    }
+
+    const sections = document.querySelectorAll(".reveal .slides > section");
+
+    for (const section of sections) {
+      let borderColour = "red";
+
+      if (
+        section.classList.contains("mcanouil-title-slide") ||
+        section.classList.contains("mcanouil-closing-slide")
+      ) {
+        borderColour = "green";
+      } else if (section.classList.contains("section-slide")) {
+        borderColour = "orange";
+      }
+
+      section.style.border = `3px solid ${borderColour}`;
+      section.style.boxSizing = "border-box";
+
+      const nestedSections = section.querySelectorAll("section");
+      for (const nested of nestedSections) {
+        nested.style.border = "3px solid blue";
+        nested.style.boxSizing = "border-box";
+      }
+    }
+  }
+
+  /**
+   * Measure how far a slide's content overflows the slide size.
+   * Slides hidden by Reveal.js are shown for the duration of the measurement.
+   * @param {Element} slide - Slide element.
+   * @param {Object} size - Slide size with width and height.
+   * @returns {Object} Overflow in pixels with x and y.
+   */
+  function measureSlideOverflow(slide, size) {
+    const restore = [];
+
+    for (let el = slide; el?.tagName === "SECTION"; el = el.parentElement) {
+      restore.push([el, el.style.display]);
+      el.style.display = "block";
+    }
+
+    const overflow = {
+      x: Math.max(0, Math.ceil(slide.scrollWidth - size.width)),
+      y: Math.max(0, Math.ceil(slide.scrollHeight - size.height)),
+    };
+
+    for (const [el, display] of restore) {
+      el.style.display = display;
+    }
+
+    return overflow;
+  }
+
+  /**
+   * Get a debug panel, created on first use with a toggle button and a
+   * collapsed list. The overflow report and the fragment timeline share
+   * this panel, stacked in the top-right corner, clear of the section
+   * progress breadcrumb.
+   * @param {Object} deck - Reveal.js deck instance.
+   * @param {string} name - Panel name, such as "overflow" or "fragment".
+   * @returns {{panel: Element, toggle: Element, list: Element}} Panel parts.
+   */
+  function getDebugPanel(deck, name) {
+    const root = deck.getRevealElement();
+    let panel = root.querySelector(`.debug-${name}-panel`);
+
+    if (!panel) {
+      let container = root.querySelector(":scope > .debug-panels");
+      if (!container) {
+        container = document.createElement("div");
+        container.className = "debug-panels";
+        root.appendChild(container);
+      }
+
+      panel = document.createElement("div");
+      panel.className = `debug-panel debug-${name}-panel`;
+
+      const list = document.createElement("ol");
+      list.className = `debug-panel-list debug-${name}-list`;
+      list.hidden = true;
+
+      const toggle = document.createElement("button");
+      toggle.type = "button";
+      toggle.className = "debug-panel-toggle";
+      toggle.setAttribute("aria-expanded", "false");
+      toggle.addEventListener("click", function () {
+        const expanded = toggle.getAttribute("aria-expanded") === "true";
+        toggle.setAttribute("aria-expanded", expanded ? "false" : "true");
+        list.hidden = expanded;
+      });
+
+      panel.appendChild(toggle);
+      panel.appendChild(list);
+      container.appendChild(panel);
+    }
+
+    return {
+      panel,
+      toggle: panel.querySelector(".debug-panel-toggle"),
+      list: panel.querySelector(".debug-panel-list"),
+    };
+  }
+
+  /**
+   * Measure every slide and report the ones overflowing the configured size.
+   * Offending slides are listed in the on-screen panel, where each entry
+   * jumps to its slide, and in the console.
+   * @param {Object} deck - Reveal.js deck instance.
+   */
+  function detectOverflow(deck) {
+    const size = deck.getComputedSlideSize();
+    const offenders = [];
+
+    for (const slide of deck.getSlides()) {
+      const overflow = measureSlideOverflow(slide, size);
+      const overflows = overflow.x > 0 || overflow.y > 0;
+
+      slide.classList.toggle("debug-overflow", overflows);
+
+      if (overflows) {
+        offenders.push({
+          slide,
+          id: slide.id || "",
+          indices: deck.getIndices(slide),
+          overflow,
+        });
+      }
+    }
+
+    const { panel, toggle, list } = getDebugPanel(deck, "overflow");
+
+    toggle.textContent = `Overflow: ${offenders.length}`;
+    panel.classList.toggle("has-overflow", offenders.length > 0);
+    list.replaceChildren();
+
+    for (const { id, indices, overflow } of offenders) {
+      const li = document.createElement("li");
+      const button = document.createElement("button");
+      button.type = "button";
+
+      const position =
+        indices.v !== undefined ? `${indices.h}.${indices.v}` : `${indices.h}`;
+      const parts = [];
+      if (overflow.y > 0) parts.push(`${overflow.y}px bottom`);
+      if (overflow.x > 0) parts.push(`${overflow.x}px right`);
+      button.textContent = `${position} ${id ? `#${id}` : "(no id)"}: ${parts.join(", ")}`;
+
+      button.addEventListener("click", function () {
+        deck.slide(indices.h, indices.v);
+      });
+
+      li.appendChild(button);
+      list.appendChild(li);
+    }
+
+    if (offenders.length > 0) {
+      console.warn(
+        `[mcanouil] ${offenders.length} slide(s) overflow ${size.width}x${size.height}:`,
+        offenders.map(({ id, indices, overflow }) => ({
+          id,
+          h: indices.h,
+          v: indices.v,
+          overflowX: overflow.x,
+          overflowY: overflow.y,
+        }))
+      );
+    }
+  }
+
+  /**
+   * Run overflow detection now and again once fonts and images have loaded.
+   * @param {Object} deck - Reveal.js deck instance.
+   */
+  function setupOverflowDetection(deck) {
+    let pending = null;
+
+    function schedule() {
+      if (pending) return;
+      pending = requestAnimationFrame(function () {
+        pending = null;
+        detectOverflow(deck);
+      });
+    }
+
+    detectOverflow(deck);
+
+    document.fonts?.ready.then(schedule);
+
+    for (const img of deck.getSlidesElement().querySelectorAll("img")) {
+      if (!img.complete) {
+        img.addEventListener("load", schedule, { once: true });
+      }
+    }
+
+    deck.on("resize", schedule);
+  }
+
+  // =========================================================================
+  // FRAGMENT TIMELINE
+  // =========================================================================
+
+  /**
+   * Get the effect classes of an author fragment, such as fade-up.
+   * @param {Element} fragment - Fragment element.
+   * @returns {string} Space-separated effect classes, or "fade-in".
+   */
+  function getFragmentEffect(fragment) {
+    const ignored = ["fragment", "visible", "current-fragment"];
+    const effects = [...fragment.classList].filter(
+      (name) => !ignored.includes(name)
+    );
+    return effects.join(" ") || "fade-in";
+  }
+
+  /**
+   * Describe the plugin and the action behind a fragment.
+   * @param {Element} fragment - Fragment element.
+   * @returns {Object} Origin with plugin, action, and whether a plugin
+   *   generated the fragment.
+   */
+  function describeFragment(fragment) {
+    if (fragment.classList.contains("panel-tabset-fragment")) {
+      return {
+        plugin: "tabset",
+        action: `Tab switch to tab ${parseInt(fragment.dataset.tabIndex, 10) + 1}`,
+        generated: true,
+      };
+    }
+
+    if (fragment.classList.contains("code-annotation-fragment")) {
+      return {
+        plugin: "code-annotation-fragments",
+        action: `Annotation tooltip ${fragment.dataset.targetAnnotation}`,
+        generated: true,
+      };
+    }
+
+    if (fragment.tagName === "CODE" && fragment.closest("pre")) {
+      const sourceCode = fragment.closest("div.sourceCode");
+      const lines = fragment.dataset.codeLineNumbers;
+      let action = lines ? `Line highlight ${lines}` : "Line highlight";
+
+      const codeBlock = sourceCode?.querySelector(
+        ".code-annotation-code[data-annotation-sync-mode='line-highlight']"
+      );
+      if (codeBlock) {
+        let steps = {};
+        try {
+          steps = JSON.parse(codeBlock.dataset.stepToAnnotations || "{}");
+        } catch {
+          // Leave the action without annotations
+        }
+        const annotations =
+          steps[fragment.getAttribute("data-fragment-index")] ?? [];
+        if (annotations.length > 0) {
+          action += `, annotation tooltip ${annotations.join(", ")}`;
+        }
+      }
+
+      return {
+        plugin: sourceCode?.hasAttribute("data-code-line-fragment-indices")
+          ? "line-fragment-indices"
+          : "line-highlight",
+        action: action,
+        generated: true,
+      };
+    }
+
+    const text = fragment.textContent.trim().replace(/\s+/g, " ");
+    const snippet = text.length > 30 ? `${text.slice(0, 30)}…` : text;
+    const pane = fragment.closest(".panel-tabset .tab-content > *");
+    const indexedByTabset =
+      pane && pane.closest(".panel-tabset").dataset.tabSteps !== "false";
+
+    return {
+      plugin: indexedByTabset ? "author, indexed by tabset" : "author",
+      action: `Author fragment (${getFragmentEffect(fragment)})${snippet ? ` "${snippet}"` : ""}`,
+      generated: false,
+    };
+  }
+
+  /**
+   * Record the fragment index written in the source of every fragment.
+   * Reveal.js closes gaps and numbers unindexed fragments when it sorts them,
+   * so this must run before the deck starts.
+   * @param {Object} deck - Reveal.js deck instance.
+   */
+  function recordAuthoredIndices(deck) {
+    const slides = deck.getSlidesElement();
+    for (const fragment of slides.querySelectorAll(".fragment")) {
+      authoredIndices.set(
+        fragment,
+        fragment.getAttribute("data-fragment-index")
+      );
+    }
+  }
+
+  /**
+   * Group the fragments of a slide by fragment index.
+   * Steps sharing an index with a plugin fragment are flagged as duplicates,
+   * as author fragments sharing an index on purpose are common.
+   * Gaps and missing indices are read from the authored indices, as
+   * Reveal.js has renumbered the fragments by now: a step after a gap is
+   * flagged as skipped, and fragments without an authored index are flagged
+   * as unindexed when other fragments of the slide have one. Fragments
+   * created after the deck started keep their current index.
+   * @param {Element} slide - Slide element.
+   * @returns {Array<Object>} Sorted steps with index, authored index,
+   *   fragments, duplicate, skipped count, and unindexed fragments.
+   */
+  function buildFragmentTimeline(slide) {
+    const byIndex = new Map();
+    const fragments = [...slide.querySelectorAll(".fragment")];
+    const getAuthoredIndex = (fragment) =>
+      authoredIndices.has(fragment)
+        ? authoredIndices.get(fragment)
+        : fragment.getAttribute("data-fragment-index");
+    const hasIndexed = fragments.some(
+      (fragment) => getAuthoredIndex(fragment) !== null
+    );
+
+    for (const fragment of fragments) {
+      const index = parseInt(fragment.getAttribute("data-fragment-index"), 10);
+      if (isNaN(index)) continue;
+
+      const authored = getAuthoredIndex(fragment);
+      const entry = {
+        fragment,
+        ...describeFragment(fragment),
+        authoredIndex: authored === null ? NaN : parseInt(authored, 10),
+        unindexed: authored === null && hasIndexed,
+      };
+      if (!byIndex.has(index)) byIndex.set(index, []);
+      byIndex.get(index).push(entry);
+    }
+
+    let previous = NaN;
+    return [...byIndex.keys()]
+      .sort((a, b) => a - b)
+      .map((index) => {
+        const entries = byIndex.get(index);
+        const authored = Math.min(
+          ...entries
+            .map((entry) => entry.authoredIndex)
+            .filter((value) => !isNaN(value))
+        );
+        const step = {
+          index: index,
+          authoredIndex: isFinite(authored) ? authored : NaN,
+          fragments: entries,
+          duplicate:
+            entries.length > 1 && entries.some((entry) => entry.generated),
+          skipped: 0,
+          unindexed: entries.filter((entry) => entry.unindexed).length,
+        };
+        if (!isNaN(step.authoredIndex)) {
+          if (!isNaN(previous)) {
+            step.skipped = Math.max(0, step.authoredIndex - previous - 1);
+          }
+          previous = step.authoredIndex;
         }
-        if (config.dateSuperscript) {
-          formatDates();
+        return step;
+      });
+  }
+
+  /**
+   * List the fragment steps of the current slide in the timeline panel,
+   * marking the current step.
+   * @param {Object} deck - Reveal.js deck instance.
+   */
+  function inspectFragments(deck) {
+    const steps = buildFragmentTimeline(deck.getCurrentSlide());
+    const currentIndex = deck.getIndices().f;
+
+    const { panel, toggle, list } = getDebugPanel(deck, "fragment");
+
+    const issues = steps.filter(
+      (step) => step.duplicate || step.skipped > 0 || step.unindexed > 0
+    ).length;
+
+    toggle.textContent =
+      issues > 0
+        ? `Fragments: ${steps.length} steps, ${issues} issue(s)`
+        : `Fragments: ${steps.length} steps`;
+    panel.classList.toggle("has-issues", issues > 0);
+    list.replaceChildren();
+
+    function addItem(label, entries, flags) {
+      const li = document.createElement("li");
+      const title = document.createElement("div");
+      title.className = "debug-fragment-step";
+      title.textContent = [label, ...flags].join(" ");
+      li.appendChild(title);
+
+      for (const { plugin, action } of entries) {
+        const detail = document.createElement("div");
+        detail.className = "debug-fragment-detail";
+        detail.textContent = `${plugin}: ${action}`;
+        li.appendChild(detail);
+      }
+
+      list.appendChild(li);
+      return li;
+    }
+
+    for (const step of steps) {
+      const flags = [];
+      if (step.skipped > 0) flags.push(`[skipped ${step.skipped}]`);
+      if (step.duplicate) flags.push("[duplicate]");
+      if (step.unindexed > 0) flags.push(`[unindexed ${step.unindexed}]`);
+
+      const label =
+        isNaN(step.authoredIndex) || step.authoredIndex === step.index
+          ? `Step ${step.index}`
+          : `Step ${step.index} (authored ${step.authoredIndex})`;
+      const li = addItem(label, step.fragments, flags);
+      li.classList.toggle("is-current", step.index === currentIndex);
+      li.classList.toggle("has-issue", flags.length > 0);
+    }
+  }
+
+  /**
+   * Keep the fragment timeline in step with the current slide and fragment.
+   * @param {Object} deck - Reveal.js deck instance.
+   */
+  function setupFragmentInspector(deck) {
+    for (const type of ["slidechanged", "fragmentshown", "fragmenthidden"]) {
+      deck.on(type, function () {
+        inspectFragments(deck);
+      });
+    }
+  }
+
+  // =========================================================================
+  // SOCIAL HANDLES
+  // =========================================================================
+
+  /**
+   * Built-in social platform rules, keyed by the .social-link class.
+   * - pattern: regular expression matched against the decoded handle; its
+   *   named groups fill the format placeholders.
+   * - format: display text, with {group} placeholders.
+   * - prefix: prepended to the display text when missing.
+   */
+  const SOCIAL_PLATFORMS = {
+    website: {
+      pattern: "^(?:https?://)?(?:www\\.)?(?<site>[^?#]+?)/*$",
+      format: "{site}",
+      prefix: "",
+    },
+    github: {
+      pattern: "^(?:https?://)?(?:www\\.)?github\\.com/(?<user>[^/?#]+)",
+      format: "{user}",
+      prefix: "@",
+    },
+    bluesky: {
+      pattern: "^(?:https?://)?bsky\\.app/profile/(?<user>[^/?#]+)",
+      format: "{user}",
+      prefix: "@",
+    },
+    mastodon: {
+      pattern: "^(?:https?://)?(?<instance>[^/@]+)/@(?<user>[^/?#]+)",
+      format: "{user}@{instance}",
+      prefix: "@",
+    },
+    linkedin: {
+      pattern:
+        "^(?:https?://)?(?:[a-z]{2,3}\\.)?linkedin\\.com/(?:in|company)/(?<user>[^/?#]+)",
+      format: "{user}",
+      prefix: "",
+    },
+    orcid: {
+      pattern:
+        "^(?:https?://)?(?:www\\.)?(?:orcid\\.org/)?(?<id>\\d{4}-\\d{4}-\\d{4}-\\d{3}[\\dX])/*$",
+      format: "{id}",
+      prefix: "",
+    },
+  };
+
+  /**
+   * Build the social platform registry from built-in and author rules.
+   * Author rules from extensions.mcanouil.social-platforms override built-in
+   * rules field by field, and can add new platforms.
+   * @param {Object} custom - Author rules keyed by platform.
+   * @returns {Object} Rules keyed by platform, with compiled patterns.
+   */
+  function buildSocialRegistry(custom) {
+    const registry = {};
+    const names = new Set([
+      ...Object.keys(SOCIAL_PLATFORMS),
+      ...Object.keys(custom || {}),
+    ]);
+
+    for (const name of names) {
+      const rule = { ...SOCIAL_PLATFORMS[name], ...custom?.[name] };
+      let pattern = null;
+
+      if (rule.pattern) {
+        try {
+          pattern = new RegExp(rule.pattern, "i");
+        } catch (error) {
+          console.warn(
+            `[mcanouil] Invalid pattern for social platform "${name}":`,
+            error.message
+          );
         }
+      }
+
+      registry[name] = {
+        pattern,
+        format: rule.format || "",
+        prefix: rule.prefix || "",
+      };
+    }
+
+    return registry;
+  }
+
+  /**
+   * Get the display text of a handle from a platform rule.
+   * Falls back to the last path segment when no rule matches.
+   * @param {string} text - Decoded handle text.
+   * @param {Object} [rule] - Platform rule.
+   * @returns {string} Display text.
+   */
+  function formatSocialHandle(text, rule) {
+    const match = rule?.pattern?.exec(text);
+    let display;
+
+    if (match && rule.format) {
+      display = rule.format.replace(
+        /\{([\w-]+)\}/g,
+        (_, group) => match.groups?.[group] ?? ""
+      );
+    } else {
+      const trimmed = text.replace(/\/+$/, "");
+      display = trimmed.substring(trimmed.lastIndexOf("/") + 1) || text;
+    }
+
+    if (rule?.prefix && !display.startsWith(rule.prefix)) {
+      display = `${rule.prefix}${display}`;
+    }
+
+    return display;
+  }
+
+  /**
+   * Process social handle elements to extract just the handle from URLs.
+   * Each handle is normalised with the rule of its platform, read from the
+   * class of the enclosing .social-link element.
+   * @param {Object} cfg - Plugin configuration.
+   */
+  function processSocialHandles(cfg) {
+    const handles = document.querySelectorAll(".social-handle");
+    if (handles.length === 0) return;
+
+    const registry = buildSocialRegistry(cfg.socialPlatforms);
+
+    for (const handle of handles) {
+      if (handle.dataset.formatted) continue;
+      let text = handle.textContent.trim();
+
+      try {
+        text = decodeURIComponent(text);
+      } catch {
+        // Keep original if decoding fails
+      }
+
+      const parent = handle.closest(".social-link");
+      const platform = parent
+        ? [...parent.classList].find((name) => name in registry)
+        : undefined;
+
+      handle.textContent = formatSocialHandle(text, registry[platform]);
+      handle.dataset.formatted = "true";
+    }
+  }
+
+  // =========================================================================
+  // PUBLIC API AND EVENTS
+  // =========================================================================
+
+  /**
+   * Build the public data of a section.
+   * @param {Object} deck - Reveal.js deck instance.
+   * @param {number} index - Section index.
+   * @returns {Object|null} Section data, or null if there is no such section.
+   */
+  function getSectionData(deck, index) {
+    const section = sections[index];
+    if (!section) return null;
+
+    return {
+      index: index,
+      id: section.slide.id || "",
+      title: section.title,
+      slide: section.slide,
+      indices: deck.getIndices(section.slide),
+      subsections: structuredClone(section.subsections),
+    };
+  }
+
+  /**
+   * Get every detected section, in document order.
+   * @param {Object} deck - Reveal.js deck instance.
+   * @returns {Array<Object>} Section data.
+   */
+  function getSections(deck) {
+    return sections.map((_, index) => getSectionData(deck, index));
+  }
+
+  /**
+   * Get the section holding the current slide.
+   * @param {Object} deck - Reveal.js deck instance.
+   * @returns {Object|null} Section data, or null before the first section.
+   */
+  function getCurrentSection(deck) {
+    const { sectionIndex } = getSlidePosition(deck.getCurrentSlide());
+    return getSectionData(deck, sectionIndex);
+  }
+
+  /**
+   * Navigate to a section slide.
+   * @param {Object} deck - Reveal.js deck instance.
+   * @param {number|string} target - Section index or section slide id.
+   * @returns {boolean} True if the section exists.
+   */
+  function goToSection(deck, target) {
+    const index =
+      typeof target === "string"
+        ? sections.findIndex((s) => s.slide.id === target)
+        : target;
+    const section = sections[index];
+    if (!section) return false;
+
+    const { h, v } = deck.getIndices(section.slide);
+    deck.slide(h, v);
+    return true;
+  }
+
+  /**
+   * Dispatch a custom event on the Reveal.js element.
+   * The data is available on event.detail and, as for Reveal.js events, on
+   * the event itself, so deck.on() listeners can read it directly.
+   * @param {Object} deck - Reveal.js deck instance.
+   * @param {string} type - Event type.
+   * @param {Object} data - Event data.
+   */
+  function dispatchDeckEvent(deck, type, data) {
+    const event = new CustomEvent(type, { bubbles: true, detail: data });
+    Object.assign(event, data);
+    deck.getRevealElement().dispatchEvent(event);
+  }
+
+  /**
+   * Dispatch mcanouil:sectionchanged when the current slide enters another
+   * section.
+   * @param {Object} deck - Reveal.js deck instance.
+   */
+  function notifySectionChange(deck) {
+    const { sectionIndex } = getSlidePosition(deck.getCurrentSlide());
+    if (sectionIndex === currentSectionIndex) return;
+
+    const previousIndex = currentSectionIndex;
+    currentSectionIndex = sectionIndex;
+
+    dispatchDeckEvent(deck, "mcanouil:sectionchanged", {
+      section: getSectionData(deck, sectionIndex),
+      previousSection: getSectionData(deck, previousIndex),
+    });
+  }
+
+  // =========================================================================
+  // RE-PROCESSING
+  // =========================================================================
+
+  /**
+   * Apply every slide transformation of the plugin.
+   * Safe to run again after slides are added, removed, or moved: generated
+   * elements are rebuilt and already processed elements are left as they are.
+   * A slide inserted by the run, such as the agenda slide, is registered
+   * with Reveal.js once the run ends, so that sync listeners see the
+   * rebuilt sections.
+   * @param {Object} deck - Reveal.js deck instance.
+   * @param {Object} cfg - Plugin configuration.
+   */
+  function processDeck(deck, cfg) {
+    if (processing) return;
+    processing = true;
+
+    let inserted = false;
+    try {
+      inserted = processDeckSlides(deck, cfg);
+    } finally {
+      processing = false;
+    }
+
+    if (inserted) {
+      deck.sync();
+    }
+  }
+
+  /**
+   * Run the slide transformations of processDeck.
+   * @param {Object} deck - Reveal.js deck instance.
+   * @param {Object} cfg - Plugin configuration.
+   * @returns {boolean} True if a slide was inserted.
+   */
+  function processDeckSlides(deck, cfg) {
+    const inserted = processSections(deck, cfg);
+    if (cfg.dateSuperscript) {
+      formatDates(cfg);
+    }
+    updateSlideChrome(deck, cfg);
+    if (cfg.debugBorders) {
+      applyDebugBorders();
+      detectOverflow(deck);
+      inspectFragments(deck);
+    }
+    processSocialHandles(cfg);
+    if (sectionTimingActive) {
+      updateSectionBudgets(deck);
+      renderPacingNotes(deck);
+    }
+
+    return inserted;
+  }
+
+  // =========================================================================
+  // PLUGIN RETURN
+  // =========================================================================
+
+  return {
+    id: "mcanouil-revealjs",
+
+    init: function (deck) {
+      revealDeck = deck;
+      const deckConfig = deck.getConfig();
+
+      // Read from extensions.mcanouil namespace
+      const mcanouil = deckConfig["extensions"]?.["mcanouil"] || {};
+
+      // Build config from extensions.mcanouil.* options
+      config = {
+        ...defaults,
+        sectionOutline: mcanouil["section-outline"] ?? defaults.sectionOutline,
+        sectionOutlineDepth:
+          mcanouil["section-outline-depth"] ?? defaults.sectionOutlineDepth,
+        sectionProgress:
+          mcanouil["section-progress"] ?? defaults.sectionProgress,
+        agenda: mcanouil["agenda"] ?? defaults.agenda,
+        agendaSubsections:
+          mcanouil["agenda-subsections"] ?? defaults.agendaSubsections,
+        sectionNavigation:
+          mcanouil["section-navigation"] ?? defaults.sectionNavigation,
+        dateSuperscript: mcanouil["date-superscript"] ?? defaults.dateSuperscript,
+        dateOrdinalStyle:
+          mcanouil["date-ordinal-style"] ?? defaults.dateOrdinalStyle,
+        faviconFromLogo: mcanouil["favicon-from-logo"] ?? defaults.faviconFromLogo,
+        hideTitleSlideChrome:
+          mcanouil["hide-title-slide-chrome"] ?? defaults.hideTitleSlideChrome,
+        debugBorders: mcanouil["debug-borders"] ?? defaults.debugBorders,
+        socialPlatforms:
+          mcanouil["social-platforms"] ?? defaults.socialPlatforms,
+        chrome: buildChromeElements(mcanouil["chrome"] ?? defaults.chrome),
+        outlineExportFormat:
+          mcanouil["outline-export-format"] ?? defaults.outlineExportFormat,
+        outlineExportTarget:
+          mcanouil["outline-export-target"] ?? defaults.outlineExportTarget,
+        outlineExportWordCounts:
+          mcanouil["outline-export-word-counts"] ??
+          defaults.outlineExportWordCounts,
+      };
+
+      if (config.sectionNavigation) {
+        setupSectionNavigation(deck);
+      }
+      deck.addKeyBinding(OUTLINE_EXPORT_KEY, function () {
+        exportOutline(deck, config);
+      });
+      if (config.debugBorders) {
+        recordAuthoredIndices(deck);
+      }
+
+      deck.on("ready", function () {
+        processDeck(deck, config);
         if (config.faviconFromLogo) {
           setFaviconFromLogo();
         }
-        if (config.hideTitleSlideChrome) {
-          updateTitleSlideChrome();
-        }
         if (config.debugBorders) {
-          applyDebugBorders();
+          setupOverflowDetection(deck);
+          setupFragmentInspector(deck);
         }
-        processSocialHandles();
+        setupSectionTiming(deck);
+
+        currentSectionIndex = getSlidePosition(
+          deck.getCurrentSlide()
+        ).sectionIndex;
+        dispatchDeckEvent(deck, "mcanouil:ready", {
+          sections: getSections(deck),
+          currentSection: getCurrentSection(deck),
+        });
       });
 
-      if (config.hideTitleSlideChrome) {
-        deck.on("slidechanged", updateTitleSlideChrome);
+      if (config.sectionOutline) {
+        deck.on("slidechanged", function () {
+          updateOutlineState(deck);
+        });
       }
+      if (config.sectionProgress) {
+        deck.on("slidechanged", function () {
+          updateSectionProgress(deck);
+        });
+      }
+      deck.on("slidechanged", function () {
+        updateSlideChrome(deck, config);
+        notifySectionChange(deck);
+      });
+
+      window.MCanouilDeckSync?.subscribe(deck, function () {
+        processDeck(deck, config);
+        notifySectionChange(deck);
+      });
+    },
+
+    /**
+     * Get every detected section, in document order.
+     * @returns {Array<Object>} Section data with index, id, title, slide,
+     *   indices, and subsections.
+     */
+    getSections: function () {
+      return revealDeck ? getSections(revealDeck) : [];
+    },
+
+    /**
+     * Get the section holding the current slide.
+     * @returns {Object|null} Section data, or null before the first section.
+     */
+    getCurrentSection: function () {
+      return revealDeck ? getCurrentSection(revealDeck) : null;
+    },
+
+    /**
+     * Navigate to a section slide.
+     * @param {number|string} target - Section index or section slide id.
+     * @returns {boolean} True if the section exists.
+     */
+    goToSection: function (target) {
+      return revealDeck ? goToSection(revealDeck, target) : false;
+    },
+
+    /**
+     * Get the budget and elapsed time of every section.
+     * Empty when no section has a data-duration budget.
+     * @returns {Array<Object>} Timing data with index, title, budget,
+     *   elapsed, and remaining seconds.
+     */
+    getSectionTimings: function () {
+      return getSectionTimings();
+    },
+
+    /**
+     * Export the deck outline of sections and subsections.
+     * @param {Object} [options] - Export options, defaulting to the
+     *   outline-export-* options.
+     * @param {string} [options.format] - "markdown" or "json".
+     * @param {string} [options.target] - "download", "clipboard", or "none".
+     * @param {boolean} [options.wordCounts] - Whether to count speaker note
+     *   words.
+     * @returns {string} The exported outline.
+     */
+    exportOutline: function (options) {
+      return revealDeck ? exportOutline(revealDeck, config, options) : "";
+    },
+
+    /**
+     * Process the slides again: detect sections, rebuild outlines, agenda
+     * slides, and the section progress, and format new slides.
+     * Runs on its own after every deck.sync() call.
+     * @returns {Array<Object>} The detected sections.
+     */
+    refresh: function () {
+      if (!revealDeck) return [];
+      processDeck(revealDeck, config);
+      notifySectionChange(revealDeck);
+      return getSections(revealDeck);
     },
   };
 };
@@ -1,152 +1,1135 @@
 /**
  * Reveal.js Tabset plugin.
  *
+ * Steps through the tabs of each .panel-tabset as fragments: the fragments
+ * of each pane in turn, then an invisible trigger switching to the next tab.
+ * Each trigger is bound to its tabset with data-tabset-id. Several tabsets on
+ * one slide are stepped one after the other, in document order or by their
+ * data-tabset-order attribute.
+ *
+ * Numbering starts after the fragments placed before the tabset on the
+ * slide, or at the data-fragment-start attribute of the tabset. A tabset
+ * with data-tab-steps="false" is not stepped and only changes tab on click;
+ * the fragments of its hidden panes are shown in full, without steps.
+ *
+ * A nested tabset is stepped where it sits in its pane, all of its tabs
+ * before the rest of the pane.
+ *
+ * Clicking a tab, or selecting it with the keyboard, moves the fragment
+ * position to the matching step, and number keys 1 to 9 jump to a tab of
+ * the current slide. For tabsets with a Quarto group, the chosen tab label
+ * carries to the tabsets of the group on later slides and is kept in the
+ * URL as a tabset-<group> query parameter.
+ *
+ * A tabset with data-tab-autoplay="4s" cycles through its tabs while its
+ * slide is shown, up to the last tab when stepped, pausing when the
+ * presenter interacts, and one with
+ * data-tab-transition="fade" or "slide" animates pane changes. Neither
+ * applies when the reader prefers reduced motion.
+ *
+ * Configuration:
+ * ```yaml
+ * extensions:
+ *   mcanouil:
+ *     tabset-pdf: active  # active, stacked, or pages
+ * ```
+ *
  * @license MIT
  * @copyright 2026 Mickaël Canouil
  * @author Mickaël Canouil
  */
 
 window.RevealJsTabset = function () {
+  "use strict";
+
+  const TAB_SELECTOR = ":scope > ul.panel-tabset-tabby > li";
+  const TAB_LINK_SELECTOR = ":scope > ul.panel-tabset-tabby > li a";
+  const ANY_TAB_LINK_SELECTOR = "ul.panel-tabset-tabby > li a";
+  const GROUP_PARAM_PREFIX = "tabset-";
+  const TRANSITIONS = ["fade", "slide"];
+  const TRANSITION_DURATION = 300;
+  const AUTOPLAY_RESUME_DELAY = 10000;
+  const PDF_MODES = ["active", "stacked", "pages"];
+
+  // Reveal.js deck instance, set on init
+  let revealDeck = null;
+
+  // Number of tabsets given an id, used to bind triggers to their tabset
+  let tabsetCount = 0;
+
+  // Whether a tab is being activated by the plugin itself
+  let switchingTab = false;
+
+  // Tab label chosen for each tabset group, kept in the URL
+  const groupChoices = new Map();
+
+  // Autoplay timer of each tabset on the current slide
+  const autoplayTimers = new Map();
+
+  // Timer resuming autoplay after the presenter stops interacting
+  let autoplayResumeTimer = null;
+
+  // Whether presenter interactions are watched to pause autoplay
+  let autoplayPauseSet = false;
+
+  // Last animated pane of each tabset, and tabsets waiting for animation
+  const animatedPanes = new WeakMap();
+  const pendingTransitions = new Set();
+
+  /**
+   * Get all tab panes for a given tabset element.
+   * @param {Element} tabset - The tabset container element
+   * @returns {HTMLCollection} Collection of tab pane elements
+   */
+  function getTabPanes(tabset) {
+    const tabContent = tabset.querySelector(":scope > .tab-content");
+    return tabContent ? tabContent.children : [];
+  }
+
+  /**
+   * Get the print mode of tabsets.
+   * Reads from extensions.mcanouil.tabset-pdf.
+   * @param {Object} config - Reveal.js deck config.
+   * @returns {string} "active", "stacked", or "pages".
+   */
+  function getPdfMode(config) {
+    const value = config["extensions"]?.["mcanouil"]?.["tabset-pdf"];
+    if (value === undefined) return "active";
+    if (PDF_MODES.includes(value)) return value;
+
+    console.warn(`[tabset] Unknown tabset-pdf "${value}", using "active".`);
+    return "active";
+  }
+
+  /**
+   * Get every tabset of a slide, nested ones included, in document order.
+   * @param {Element} slide - The slide element.
+   * @returns {Array<Element>} Tabset elements.
+   */
+  function getAllTabsets(slide) {
+    return [...slide.querySelectorAll(".panel-tabset")].filter(
+      function (tabset) {
+        return tabset.closest("section") === slide;
+      }
+    );
+  }
+
+  /**
+   * Get the outer tabsets of a slide in stepping order.
+   * Tabsets with a data-tabset-order attribute come first, by that number,
+   * and the others follow in document order.
+   * @param {Element} slide - The slide element.
+   * @returns {Array<Element>} Tabset elements, without nested tabsets.
+   */
+  function getSlideTabsets(slide) {
+    const tabsets = getAllTabsets(slide).filter(function (tabset) {
+      return !tabset.parentElement.closest(".panel-tabset");
+    });
+
+    function getOrder(tabset) {
+      const order = parseFloat(tabset.dataset.tabsetOrder);
+      return isNaN(order) ? Infinity : order;
+    }
+
+    // Array.prototype.sort is stable, so equal orders keep document order
+    return tabsets.sort(function (a, b) {
+      const diff = getOrder(a) - getOrder(b);
+      return isNaN(diff) ? 0 : diff;
+    });
+  }
+
+  /**
+   * Get the tabset a trigger fragment switches tabs in.
+   * @param {Element} trigger - The tabset trigger fragment.
+   * @returns {Element|null} The tabset element.
+   */
+  function getTriggerTabset(trigger) {
+    const slide = trigger.closest("section");
+    if (!slide) return null;
+
+    return slide.querySelector(
+      `.panel-tabset[data-tabset-id="${trigger.dataset.tabsetId}"]`
+    );
+  }
+
+  /**
+   * Activate a tab by clicking its link.
+   * @param {Element} tabset - The tabset container element.
+   * @param {number} index - The tab index.
+   */
+  function activateTab(tabset, index) {
+    const tabLinks = tabset.querySelectorAll(TAB_LINK_SELECTOR);
+    if (!tabLinks[index]) return;
+
+    switchingTab = true;
+    try {
+      tabLinks[index].click();
+    } finally {
+      switchingTab = false;
+    }
+    scheduleTransition(tabset);
+  }
+
+  /**
+   * Check whether the reader prefers reduced motion.
+   * @returns {boolean} True if reduced motion is preferred.
+   */
+  function prefersReducedMotion() {
+    return window.matchMedia?.("(prefers-reduced-motion: reduce)").matches;
+  }
+
+  /**
+   * Get the pane transition of a tabset from data-tab-transition.
+   * @param {Element} tabset - The tabset container element.
+   * @returns {string|null} "fade", "slide", or null for none.
+   */
+  function getTransition(tabset) {
+    const value = tabset.dataset.tabTransition;
+    if (!value || value === "none") return null;
+    if (TRANSITIONS.includes(value)) return value;
+
+    console.warn(
+      `[tabset] Unknown data-tab-transition "${value}", expected "fade" or "slide".`,
+      tabset
+    );
+    tabset.dataset.tabTransition = "none";
+    return null;
+  }
+
+  /**
+   * Animate the newly shown pane of a tabset, once the tab change is done.
+   * Several requests in the same frame animate the pane once.
+   * @param {Element} tabset - The tabset container element.
+   */
+  function scheduleTransition(tabset) {
+    if (!tabset.dataset.tabTransition || pendingTransitions.has(tabset)) {
+      return;
+    }
+    pendingTransitions.add(tabset);
+
+    requestAnimationFrame(function () {
+      pendingTransitions.delete(tabset);
+
+      const panes = getTabPanes(tabset);
+      const index = getActiveTabIndex(tabset);
+      const pane = panes[index];
+      const previous = animatedPanes.get(tabset) ?? { index: 0 };
+      if (!pane || previous.pane === pane) return;
+
+      animatedPanes.set(tabset, { pane, index });
+
+      const transition = getTransition(tabset);
+      if (!transition || prefersReducedMotion() || !pane.animate) return;
+
+      const offset = index >= previous.index ? "2em" : "-2em";
+      const keyframes =
+        transition === "slide"
+          ? [
+              { opacity: 0, transform: `translateX(${offset})` },
+              { opacity: 1, transform: "none" },
+            ]
+          : [{ opacity: 0 }, { opacity: 1 }];
+
+      pane.animate(keyframes, {
+        duration: TRANSITION_DURATION,
+        easing: "ease-out",
+      });
+    });
+  }
+
+  /**
+   * Parse an autoplay interval such as "4s", "2.5s", "4000ms", or "4"
+   * (seconds).
+   * @param {string} value - Interval text.
+   * @returns {number|null} Interval in milliseconds, or null if invalid.
+   */
+  function parseInterval(value) {
+    const match = /^(\d+(?:\.\d+)?)\s*(ms|s)?$/.exec(String(value).trim());
+    if (!match) return null;
+
+    const amount = parseFloat(match[1]);
+    return match[2] === "ms" ? amount : amount * 1000;
+  }
+
+  /**
+   * Stop the autoplay timers of every tabset.
+   */
+  function stopAutoplay() {
+    autoplayTimers.forEach(function (timer) {
+      clearInterval(timer);
+    });
+    autoplayTimers.clear();
+  }
+
+  /**
+   * Show the next tab of an autoplaying tabset, back to the first after
+   * the last. Stepping tabsets move the fragment position with the tab and
+   * stop at the last tab, as going back to the first would rewind the
+   * fragments.
+   * @param {Object} deck - Reveal.js deck instance.
+   * @param {Element} tabset - The tabset container element.
+   */
+  function advanceAutoplay(deck, tabset) {
+    if (!isTabsetShown(tabset) || deck.isPaused?.()) return;
+
+    const links = tabset.querySelectorAll(TAB_LINK_SELECTOR);
+    const next = getActiveTabIndex(tabset) + 1;
+
+    if (!tabset.dataset.tabsetId) {
+      activateTab(tabset, next % links.length);
+      return;
+    }
+
+    if (next < links.length) {
+      syncFragmentsToTab(deck, links[next]);
+    }
+    if (next >= links.length - 1) {
+      clearInterval(autoplayTimers.get(tabset));
+      autoplayTimers.delete(tabset);
+    }
+  }
+
+  /**
+   * Start autoplay for the tabsets of the current slide with a valid
+   * data-tab-autoplay interval, stopping any other autoplay.
+   * Nothing autoplays in print or when the reader prefers reduced motion.
+   * @param {Object} deck - Reveal.js deck instance.
+   */
+  function startAutoplay(deck) {
+    stopAutoplay();
+    if (
+      prefersReducedMotion() ||
+      new URLSearchParams(window.location.search).has("print-pdf")
+    ) {
+      return;
+    }
+
+    for (const tabset of getAllTabsets(deck.getCurrentSlide())) {
+      const value = tabset.dataset.tabAutoplay;
+      if (value === undefined) continue;
+
+      const interval = parseInterval(value);
+      if (!interval) {
+        console.warn(
+          `[tabset] Invalid data-tab-autoplay "${value}", expected a duration such as "4s".`,
+          tabset
+        );
+        continue;
+      }
+
+      autoplayTimers.set(
+        tabset,
+        setInterval(function () {
+          advanceAutoplay(deck, tabset);
+        }, interval)
+      );
+      setupAutoplayPause(deck);
+    }
+  }
+
+  /**
+   * Pause autoplay while the presenter interacts, and resume it once they
+   * have not interacted for a while. Interactions are only watched once a
+   * tabset autoplays.
+   * @param {Object} deck - Reveal.js deck instance.
+   */
+  function setupAutoplayPause(deck) {
+    if (autoplayPauseSet) return;
+    autoplayPauseSet = true;
+
+    function pause() {
+      if (autoplayTimers.size === 0 && !autoplayResumeTimer) return;
+
+      stopAutoplay();
+      clearTimeout(autoplayResumeTimer);
+      autoplayResumeTimer = setTimeout(function () {
+        autoplayResumeTimer = null;
+        startAutoplay(deck);
+      }, AUTOPLAY_RESUME_DELAY);
+    }
+
+    for (const type of ["keydown", "pointerdown", "wheel", "touchstart"]) {
+      document.addEventListener(type, pause, { capture: true, passive: true });
+    }
+  }
+
+  /**
+   * Get the first fragment index of a tabset, from the current indices of
+   * its pane fragments and triggers, as Reveal.js renumbers fragments to
+   * close gaps.
+   * @param {Element} tabset - The tabset container element.
+   * @returns {number} First fragment index, or NaN if the tabset has no
+   *   fragment.
+   */
+  function getTabsetStart(tabset) {
+    const fragments = [...tabset.querySelectorAll(".fragment")];
+    if (tabset.dataset.tabsetId) {
+      fragments.push(
+        ...tabset.parentNode.querySelectorAll(
+          `:scope > .panel-tabset-fragment[data-tabset-id="${tabset.dataset.tabsetId}"]`
+        )
+      );
+    }
+    const indices = fragments
+      .map(function (fragment) {
+        return parseInt(fragment.getAttribute("data-fragment-index"), 10);
+      })
+      .filter(function (index) {
+        return !isNaN(index);
+      });
+
+    return indices.length > 0 ? Math.min(...indices) : NaN;
+  }
+
+  /**
+   * Get the fragment index at which a tab is shown.
+   * The first tab is shown before the first fragment of the tabset, and
+   * each following tab at its trigger.
+   * @param {Element} slide - The slide element.
+   * @param {Element} tabset - The tabset container element.
+   * @param {number} tabIndex - The tab index.
+   * @returns {number|null} Fragment index, -1 before any fragment, or null
+   *   if the tab has no step.
+   */
+  function getTabFragmentIndex(slide, tabset, tabIndex) {
+    if (tabIndex === 0) {
+      return getTabsetStart(tabset) - 1;
+    }
+
+    const trigger = slide.querySelector(
+      `.panel-tabset-fragment[data-tabset-id="${tabset.dataset.tabsetId}"][data-tab-index="${tabIndex}"]`
+    );
+    return trigger
+      ? parseInt(trigger.getAttribute("data-fragment-index"), 10)
+      : null;
+  }
+
+  /**
+   * Move the fragment position to the step showing a tab the presenter
+   * selected, so the next step continues from that tab.
+   * @param {Object} deck - Reveal.js deck instance.
+   * @param {Element} link - The selected tab link.
+   */
+  function syncFragmentsToTab(deck, link) {
+    if (switchingTab) return;
+
+    const tabset = link.closest(".panel-tabset");
+    const slide = deck.getCurrentSlide();
+    if (!tabset || !tabset.dataset.tabsetId || !slide.contains(tabset)) return;
+
+    const tabIndex = [...tabset.querySelectorAll(TAB_LINK_SELECTOR)].indexOf(
+      link
+    );
+    if (tabIndex < 0 || tabIndex === getVisibleTabIndex(slide, tabset)) return;
+
+    const fragmentIndex = getTabFragmentIndex(slide, tabset, tabIndex);
+    if (fragmentIndex !== null && !isNaN(fragmentIndex)) {
+      deck.navigateFragment(fragmentIndex);
+    }
+  }
+
+  /**
+   * Check whether a tabset is shown, that is not inside an inactive pane of
+   * an outer tabset.
+   * @param {Element} tabset - The tabset container element.
+   * @returns {boolean} True if shown.
+   */
+  function isTabsetShown(tabset) {
+    return !tabset.parentElement.closest(".tab-content > :not(.active)");
+  }
+
+  /**
+   * Get the tabset number keys act on: the shown tabset on the current slide
+   * whose steps started last, or the first one.
+   * @param {Object} deck - Reveal.js deck instance.
+   * @returns {Element|null} The tabset element.
+   */
+  function getCurrentTabset(deck) {
+    const tabsets = getAllTabsets(deck.getCurrentSlide()).filter(isTabsetShown);
+    const fragmentIndex = deck.getIndices().f ?? -1;
+
+    let current = null;
+    let currentStart = -Infinity;
+    for (const tabset of tabsets) {
+      const start = getTabsetStart(tabset);
+      if (start <= fragmentIndex && start > currentStart) {
+        current = tabset;
+        currentStart = start;
+      }
+    }
+
+    return current || tabsets[0] || null;
+  }
+
+  /**
+   * Read the tab labels chosen for tabset groups from the URL.
+   */
+  function readGroupChoices() {
+    const params = new URLSearchParams(window.location.search);
+    for (const [name, label] of params) {
+      if (name.startsWith(GROUP_PARAM_PREFIX)) {
+        groupChoices.set(name.slice(GROUP_PARAM_PREFIX.length), label);
+      }
+    }
+  }
+
+  /**
+   * Remember the tab chosen in a grouped tabset, in memory and in the URL.
+   * @param {Element} tabset - The tabset container element.
+   * @param {Element} link - The chosen tab link.
+   */
+  function saveGroupChoice(tabset, link) {
+    const group = tabset.dataset.group;
+    if (!group) return;
+
+    const label = link.textContent.trim();
+    groupChoices.set(group, label);
+
+    const url = new URL(window.location.href);
+    url.searchParams.set(`${GROUP_PARAM_PREFIX}${group}`, label);
+    window.history.replaceState(window.history.state, "", url);
+  }
+
+  /**
+   * Get the index of the tab currently shown in a tabset.
+   * @param {Element} tabset - The tabset container element.
+   * @returns {number} The active tab index, or 0.
+   */
+  function getActiveTabIndex(tabset) {
+    const tabs = [...tabset.querySelectorAll(TAB_SELECTOR)];
+    const index = tabs.findIndex(function (tab) {
+      return (
+        tab.classList.contains("active") ||
+        tab.querySelector("a")?.getAttribute("aria-selected") === "true"
+      );
+    });
+    return Math.max(index, 0);
+  }
+
+  /**
+   * Show the chosen tab in the grouped tabsets of the current slide.
+   * A stepping tabset only follows the choice when the slide is entered
+   * before any of its fragments, and then moves the fragment position to
+   * the step of the chosen tab.
+   * @param {Object} deck - Reveal.js deck instance.
+   */
+  function applyGroupChoices(deck) {
+    if (groupChoices.size === 0) return;
+
+    const atStart = (deck.getIndices().f ?? -1) < 0;
+
+    for (const tabset of getAllTabsets(deck.getCurrentSlide())) {
+      const label = groupChoices.get(tabset.dataset.group);
+      if (label === undefined) continue;
+
+      const links = [...tabset.querySelectorAll(TAB_LINK_SELECTOR)];
+      const index = links.findIndex(function (link) {
+        return link.textContent.trim() === label;
+      });
+      if (index < 0 || index === getActiveTabIndex(tabset)) continue;
+
+      if (!tabset.dataset.tabsetId) {
+        activateTab(tabset, index);
+      } else if (atStart) {
+        syncFragmentsToTab(deck, links[index]);
+      }
+    }
+  }
+
+  /**
+   * Register number keys 1 to 9 to jump to a tab of the current slide.
+   * Only the first key is described in the Reveal.js help overlay.
+   * @param {Object} deck - Reveal.js deck instance.
+   */
+  function setupTabKeys(deck) {
+    for (let n = 1; n <= 9; n++) {
+      const binding =
+        n === 1
+          ? { keyCode: 49, key: "1-9", description: "Jump to tab N" }
+          : 48 + n;
+
+      deck.addKeyBinding(binding, function () {
+        const tabset = getCurrentTabset(deck);
+        if (tabset) {
+          const link = tabset.querySelectorAll(TAB_LINK_SELECTOR)[n - 1];
+          link?.click();
+        }
+      });
+    }
+  }
+
+  /**
+   * Show the tab selected by the triggers a fragment event changed.
+   * Several triggers change at once when navigating by more than one step,
+   * so each tabset follows its furthest shown trigger, or goes back before
+   * its earliest hidden trigger.
+   * @param {Object} event - Reveal.js fragmentshown or fragmenthidden event.
+   * @param {boolean} isShown - True if shown, false if hidden.
+   */
+  function onTabsetFragmentChange(event, isShown) {
+    const fragments = event.fragments || [event.fragment];
+    const targets = new Map();
+
+    for (const fragment of fragments) {
+      if (!fragment?.classList.contains("panel-tabset-fragment")) continue;
+
+      const tabset = getTriggerTabset(fragment);
+      if (!tabset) continue;
+
+      const tabIndex = parseInt(fragment.dataset.tabIndex, 10);
+      const target = isShown ? tabIndex : Math.max(tabIndex - 1, 0);
+      const current = targets.get(tabset);
+
+      if (
+        current === undefined ||
+        (isShown ? target > current : target < current)
+      ) {
+        targets.set(tabset, target);
+      }
+    }
+
+    targets.forEach(function (tabIndex, tabset) {
+      activateTab(tabset, tabIndex);
+    });
+  }
+
+  /**
+   * Check whether a tabset is stepped through as fragments.
+   * @param {Element} tabset - The tabset container element.
+   * @returns {boolean} False when data-tab-steps is "false".
+   */
+  function isSteppingTabset(tabset) {
+    return tabset.dataset.tabSteps !== "false";
+  }
+
+  /**
+   * Get the first free fragment index after the fragments placed before a
+   * tabset on its slide, as getNextFragmentIndex does in the code annotation
+   * plugin. Earlier fragments without an index get one, in document order,
+   * so that Reveal.js keeps them before the tabset.
+   * @param {Element} slide - The slide element.
+   * @param {Element} tabset - The tabset container element.
+   * @returns {number} Next available fragment index.
+   */
+  function getNextFragmentIndex(slide, tabset) {
+    const earlier = [...slide.querySelectorAll(".fragment")].filter(
+      function (fragment) {
+        return (
+          !fragment.closest(".panel-tabset") &&
+          !fragment.classList.contains("panel-tabset-fragment") &&
+          tabset.compareDocumentPosition(fragment) &
+            Node.DOCUMENT_POSITION_PRECEDING
+        );
+      }
+    );
+    let maxIndex = -1;
+
+    for (const fragment of earlier) {
+      const idx = parseInt(fragment.getAttribute("data-fragment-index"), 10);
+      if (!isNaN(idx) && idx > maxIndex) {
+        maxIndex = idx;
+      }
+    }
+
+    for (const fragment of earlier) {
+      if (!fragment.hasAttribute("data-fragment-index")) {
+        maxIndex++;
+        fragment.setAttribute("data-fragment-index", maxIndex);
+      }
+    }
+
+    return maxIndex + 1;
+  }
+
+  /**
+   * Get the first fragment index of a tabset.
+   * @param {Element} slide - The slide element.
+   * @param {Element} tabset - The tabset container element.
+   * @param {number} nextIndex - First index free of earlier tabsets.
+   * @returns {number} The data-fragment-start attribute when valid,
+   *   otherwise the first index after earlier fragments and tabsets.
+   */
+  function getTabsetStartIndex(slide, tabset, nextIndex) {
+    const start = tabset.dataset.fragmentStart;
+    if (start !== undefined) {
+      const index = parseInt(start, 10);
+      if (!isNaN(index) && index >= 0) return index;
+
+      console.warn(
+        `[tabset] Invalid data-fragment-start "${start}", numbering after earlier fragments.`,
+        tabset
+      );
+    }
+
+    return Math.max(nextIndex, getNextFragmentIndex(slide, tabset));
+  }
+
+  /**
+   * Get the tab selected by the visible triggers of a tabset.
+   * @param {Element} slide - The slide element.
+   * @param {Element} tabset - The tabset container element.
+   * @returns {number} The highest visible tab index, or 0.
+   */
+  function getVisibleTabIndex(slide, tabset) {
+    const fragments = slide.querySelectorAll(
+      `.panel-tabset-fragment[data-tabset-id="${tabset.dataset.tabsetId}"]`
+    );
+    let activeTabIndex = 0;
+
+    // Find the highest visible tab index
+    fragments.forEach(function (fragment) {
+      if (fragment.classList.contains("visible")) {
+        const tabIndex = parseInt(fragment.dataset.tabIndex, 10);
+        if (tabIndex > activeTabIndex) {
+          activeTabIndex = tabIndex;
+        }
+      }
+    });
+
+    return activeTabIndex;
+  }
+
+  /**
+   * Set the active tab and pane of a tabset without clicking, for print.
+   * @param {Element} tabset - The tabset container element.
+   * @param {number} activeTabIndex - The tab index to show.
+   */
+  function setActiveTab(tabset, activeTabIndex) {
+    const tabLinks = tabset.querySelectorAll(TAB_LINK_SELECTOR);
+    const tabPanesArray = Array.from(getTabPanes(tabset));
+
+    // Update tab states
+    tabLinks.forEach(function (link, index) {
+      const li = link.parentElement;
+      const isActive = index === activeTabIndex;
+
+      li.classList.toggle("active", isActive);
+      link.setAttribute("aria-selected", isActive ? "true" : "false");
+      link.setAttribute("tabindex", isActive ? "0" : "-1");
+    });
+
+    // Update pane visibility
+    tabPanesArray.forEach(function (panel, index) {
+      const isActive = index === activeTabIndex;
+
+      panel.classList.toggle("active", isActive);
+      panel.style.display = isActive ? "block" : "none";
+    });
+  }
+
+  /**
+   * Show every pane of a tabset, each under its tab label, for print.
+   * @param {Element} tabset - The tabset container element.
+   */
+  function stackTabPanes(tabset) {
+    const tabLinks = tabset.querySelectorAll(TAB_LINK_SELECTOR);
+    const tabPanes = Array.from(getTabPanes(tabset));
+    const tabList = tabset.querySelector(":scope > ul.panel-tabset-tabby");
+
+    if (tabList) {
+      tabList.style.display = "none";
+    }
+
+    tabPanes.forEach(function (panel, index) {
+      panel.classList.add("active");
+      panel.style.display = "block";
+
+      if (tabLinks[index]) {
+        const heading = document.createElement("h4");
+        heading.className = "panel-tabset-pdf-heading";
+        heading.textContent = tabLinks[index].textContent.trim();
+        panel.insertBefore(heading, panel.firstChild);
+      }
+    });
+  }
+
+  /**
+   * Remove the print pages of tab switch steps, which repeat the page before
+   * them once every pane is stacked. Only used when Reveal.js prints one
+   * page per fragment step.
+   */
+  function removeTabSwitchPages() {
+    const pages = document.querySelectorAll(".reveal .slides .pdf-page");
+
+    pages.forEach(function (page) {
+      const current = [...page.querySelectorAll(".current-fragment")];
+      const switchesTab =
+        current.length > 0 &&
+        current.every(function (fragment) {
+          return fragment.classList.contains("panel-tabset-fragment");
+        });
+      if (switchesTab) {
+        page.remove();
+      }
+    });
+  }
+
+  /**
+   * Get the tab states giving one print page per tab.
+   * The first page shows the first tab of every tabset, and each following
+   * page applies the next tab switch, in fragment order.
+   * @param {Element} slide - The slide element.
+   * @param {Array<Element>} tabsets - Every tabset of the slide.
+   * @returns {Array<Array<number>>} Active tab index of each tabset, per page.
+   */
+  function getTabPageStates(slide, tabsets) {
+    const ids = tabsets.map(function (tabset) {
+      return tabset.dataset.tabsetId;
+    });
+    const triggers = [
+      ...slide.querySelectorAll(".panel-tabset-fragment"),
+    ].sort(function (a, b) {
+      return (
+        parseInt(a.getAttribute("data-fragment-index"), 10) -
+        parseInt(b.getAttribute("data-fragment-index"), 10)
+      );
+    });
+
+    const state = tabsets.map(function () {
+      return 0;
+    });
+    const states = [state.slice()];
+
+    for (const trigger of triggers) {
+      const tabsetIndex = ids.indexOf(trigger.dataset.tabsetId);
+      if (tabsetIndex < 0) continue;
+
+      state[tabsetIndex] = parseInt(trigger.dataset.tabIndex, 10);
+      states.push(state.slice());
+    }
+
+    return states;
+  }
+
+  /**
+   * Print one page per tab, by cloning the print page of the slide.
+   * Only used when Reveal.js does not already print one page per fragment
+   * step, as tab switches are fragment steps.
+   * @param {Element} slide - The slide element.
+   */
+  function addTabPages(slide) {
+    const page = slide.closest(".pdf-page");
+    const states = getTabPageStates(slide, getAllTabsets(slide));
+    if (!page || states.length <= 1) return;
+
+    // Mark the slide to find its copy in each cloned page
+    slide.dataset.tabsetPage = "source";
+
+    let previous = page;
+    states.forEach(function (state, pageIndex) {
+      let target = slide;
+
+      if (pageIndex > 0) {
+        const clone = page.cloneNode(true);
+        previous.after(clone);
+        previous = clone;
+
+        target = clone.querySelector('section[data-tabset-page="source"]');
+        target.dataset.tabsetPage = String(pageIndex);
+        target.removeAttribute("id");
+      }
+
+      getAllTabsets(target).forEach(function (tabset, tabsetIndex) {
+        setActiveTab(tabset, state[tabsetIndex]);
+      });
+    });
+
+    slide.dataset.tabsetPage = "0";
+  }
+
+  /**
+   * Number the fragments of a tab pane in document order.
+   * A nested stepping tabset is set up where it sits, so all of its tabs are
+   * stepped before the fragments that follow it in the pane. Its tab switch
+   * triggers are left to setupTabset, so running again keeps their place.
+   * @param {Element} tabset - The tabset holding the pane.
+   * @param {Element} pane - The tab pane element.
+   * @param {number} startIndex - First fragment index of the pane.
+   * @returns {number} Next free fragment index.
+   */
+  function numberPaneFragments(tabset, pane, startIndex) {
+    const fragments = [...pane.querySelectorAll(".fragment")].filter(
+      function (fragment) {
+        return (
+          fragment.closest(".panel-tabset") === tabset &&
+          !fragment.classList.contains("panel-tabset-fragment")
+        );
+      }
+    );
+    const nested = [...pane.querySelectorAll(".panel-tabset")].filter(
+      function (inner) {
+        return (
+          inner.parentElement.closest(".panel-tabset") === tabset &&
+          isSteppingTabset(inner)
+        );
+      }
+    );
+    const items = [...fragments, ...nested].sort(function (a, b) {
+      return a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING
+        ? -1
+        : 1;
+    });
+    let currentIndex = startIndex;
+
+    for (const item of items) {
+      if (nested.includes(item)) {
+        currentIndex = setupTabset(item, currentIndex);
+      } else {
+        item.setAttribute("data-fragment-index", currentIndex);
+        currentIndex++;
+      }
+    }
+
+    return currentIndex;
+  }
+
+  /**
+   * Set up the fragments of one tabset.
+   * Fragments inside tab panes are numbered in tab order and an invisible
+   * trigger, bound to the tabset by id, switches to each following tab.
+   * Nested tabsets are set up within their pane.
+   * @param {Element} tabset - The tabset container element.
+   * @param {number} startIndex - First fragment index of the tabset.
+   * @returns {number} Next free fragment index.
+   */
+  function setupTabset(tabset, startIndex) {
+    const tabs = tabset.querySelectorAll(TAB_SELECTOR);
+    const tabCount = tabs.length;
+    if (tabCount <= 1) return startIndex;
+
+    if (!tabset.dataset.tabsetId) {
+      tabsetCount++;
+      tabset.dataset.tabsetId = String(tabsetCount);
+    }
+
+    const tabPanes = getTabPanes(tabset);
+    const parentNode = tabset.parentNode;
+    let currentIndex = startIndex;
+
+    // Process each tab
+    for (let i = 0; i < tabCount; i++) {
+      if (tabPanes[i]) {
+        currentIndex = numberPaneFragments(tabset, tabPanes[i], currentIndex);
+      }
+
+      // Invisible fragment triggers for tab switching (except after last
+      // tab), reused from a previous run so they keep their visible state
+      if (i < tabCount - 1) {
+        let fragmentDiv = parentNode.querySelector(
+          `:scope > .panel-tabset-fragment[data-tabset-id="${tabset.dataset.tabsetId}"][data-tab-index="${i + 1}"]`
+        );
+        if (!fragmentDiv) {
+          fragmentDiv = document.createElement("div");
+          fragmentDiv.className = "panel-tabset-fragment fragment";
+          fragmentDiv.dataset.tabsetId = tabset.dataset.tabsetId;
+          fragmentDiv.dataset.tabIndex = i + 1;
+          fragmentDiv.style.display = "none";
+          parentNode.appendChild(fragmentDiv);
+        }
+        delete fragmentDiv.dataset.tabsetStale;
+        fragmentDiv.setAttribute("data-fragment-index", currentIndex);
+        currentIndex++;
+      }
+    }
+
+    return currentIndex;
+  }
+
+  /**
+   * Set up tabset fragments.
+   * Tabsets on the same slide are numbered one after the other, in the
+   * order of getSlideTabsets, and after the fragments placed before them.
+   * Triggers from a previous run are reused, so running it again never
+   * duplicates them, and those of removed tabs or tabsets are dropped.
+   * @param {Object} deck - Reveal.js deck instance.
+   */
+  function processTabsets(deck) {
+    const triggers = deck
+      .getSlidesElement()
+      .querySelectorAll(".panel-tabset-fragment");
+    triggers.forEach(function (trigger) {
+      trigger.dataset.tabsetStale = "true";
+    });
+
+    for (const slide of deck.getSlides()) {
+      let currentIndex = 0;
+      for (const tabset of getSlideTabsets(slide)) {
+        if (!isSteppingTabset(tabset)) continue;
+        currentIndex = setupTabset(
+          tabset,
+          getTabsetStartIndex(slide, tabset, currentIndex)
+        );
+      }
+    }
+
+    triggers.forEach(function (trigger) {
+      if (trigger.dataset.tabsetStale) {
+        trigger.remove();
+      }
+    });
+  }
+
+  /**
+   * Turn the fragments in the hidden panes of tabsets that are not stepped
+   * into plain content. Reveal.js would otherwise step through them while
+   * their pane is hidden, and they show in full once their tab is clicked.
+   * @param {Object} deck - Reveal.js deck instance.
+   */
+  function unstepHiddenPanes(deck) {
+    for (const slide of deck.getSlides()) {
+      for (const tabset of getAllTabsets(slide)) {
+        if (isSteppingTabset(tabset)) continue;
+
+        for (const pane of getTabPanes(tabset)) {
+          if (pane.classList.contains("active")) continue;
+
+          for (const fragment of pane.querySelectorAll(".fragment")) {
+            if (
+              fragment.closest(".panel-tabset") !== tabset ||
+              fragment.classList.contains("panel-tabset-fragment")
+            ) {
+              continue;
+            }
+            fragment.classList.remove("fragment");
+            fragment.removeAttribute("data-fragment-index");
+            fragment.dataset.tabsetUnstepped = "true";
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Set up tabset fragments again after the slides changed.
+   * Reveal.js has already updated the fragments by then, so the current
+   * fragment step is applied again to the renumbered and new triggers, and
+   * the shown tab follows it.
+   * @param {Object} deck - Reveal.js deck instance.
+   */
+  function reprocessTabsets(deck) {
+    const fragmentIndex = deck.getIndices().f;
+    processTabsets(deck);
+    unstepHiddenPanes(deck);
+
+    if (fragmentIndex !== undefined) {
+      deck.navigateFragment(fragmentIndex);
+    }
+  }
+
   return {
     id: "RevealJsTabset",
-    init: function (deck) {
-      const TAB_SELECTOR = "ul.panel-tabset-tabby > li";
-      const TAB_LINK_SELECTOR = "ul.panel-tabset-tabby > li a";
 
-      /**
-       * Get all tab panes for a given tabset element.
-       * @param {Element} tabset - The tabset container element
-       * @returns {HTMLCollection} Collection of tab pane elements
-       */
-      function getTabPanes(tabset) {
-        const tabContent = tabset.querySelector(".tab-content");
-        return tabContent ? tabContent.children : [];
-      }
+    init: function (deck) {
+      revealDeck = deck;
 
       /**
        * Initialise tabset fragments on ready.
-       * This sets up fragment indices for tab content and creates invisible
-       * fragment triggers for tab navigation.
        */
       deck.on("ready", function () {
-        const tabsetSlides = document.querySelectorAll(".reveal .slides section .panel-tabset");
-
-        tabsetSlides.forEach(function (tabset) {
-          const tabs = tabset.querySelectorAll(TAB_SELECTOR);
-          const tabCount = tabs.length;
-          if (tabCount <= 1) return;
-
-          const tabPanes = getTabPanes(tabset);
-          const parentNode = tabset.parentNode;
-          let currentIndex = 0;
-
-          // Process each tab
-          for (let i = 0; i < tabCount; i++) {
-            if (tabPanes[i]) {
-              // Assign fragment indices to any fragments within the tab pane
-              const fragmentsInPane = tabPanes[i].querySelectorAll(".fragment");
-              fragmentsInPane.forEach(function (fragment) {
-                fragment.setAttribute("data-fragment-index", currentIndex);
-                currentIndex++;
-              });
-            }
+        processTabsets(deck);
+        applyGroupChoices(deck);
+        unstepHiddenPanes(deck);
+        startAutoplay(deck);
+      });
 
-            // Create invisible fragment triggers for tab switching (except after last tab)
-            if (i < tabCount - 1) {
-              const fragmentDiv = document.createElement("div");
-              fragmentDiv.className = "panel-tabset-fragment fragment";
-              fragmentDiv.dataset.tabIndex = i + 1;
-              fragmentDiv.setAttribute("data-fragment-index", currentIndex);
-              fragmentDiv.style.display = "none";
-              parentNode.appendChild(fragmentDiv);
-              currentIndex++;
-            }
-          }
-        });
+      /**
+       * Set up tabsets again when slides change at runtime.
+       */
+      window.MCanouilDeckSync?.subscribe(deck, function () {
+        reprocessTabsets(deck);
       });
 
       /**
        * Handle fragment shown events.
-       * When a tabset fragment is shown, click the corresponding tab.
+       * When tabset fragments are shown, click the corresponding tab.
        */
       deck.on("fragmentshown", function (event) {
-        if (!event.fragment.classList.contains("panel-tabset-fragment")) return;
-
-        const tabIndex = parseInt(event.fragment.dataset.tabIndex, 10);
-        const tabset = deck.getCurrentSlide().querySelector(".panel-tabset");
-        if (!tabset) return;
-
-        const tabLinks = tabset.querySelectorAll(TAB_LINK_SELECTOR);
-        if (tabLinks[tabIndex]) {
-          tabLinks[tabIndex].click();
-        }
+        onTabsetFragmentChange(event, true);
       });
 
       /**
        * Handle fragment hidden events.
-       * When a tabset fragment is hidden (going backwards), click the previous tab.
+       * When tabset fragments are hidden (going backwards), click the previous tab.
        */
       deck.on("fragmenthidden", function (event) {
-        if (!event.fragment.classList.contains("panel-tabset-fragment")) return;
+        onTabsetFragmentChange(event, false);
+      });
 
-        const tabIndex = parseInt(event.fragment.dataset.tabIndex, 10);
-        const tabset = deck.getCurrentSlide().querySelector(".panel-tabset");
-        if (!tabset) return;
+      /**
+       * Follow tabs selected by mouse or keyboard.
+       * Tabby dispatches a tabby event on the selected tab in both cases,
+       * so a click is handled once.
+       */
+      deck.getSlidesElement().addEventListener("tabby", function (event) {
+        const link = event.target.closest?.(ANY_TAB_LINK_SELECTOR);
+        if (!link || switchingTab) return;
 
-        const tabLinks = tabset.querySelectorAll(TAB_LINK_SELECTOR);
-        const targetIndex = tabIndex > 0 ? tabIndex - 1 : 0;
-        if (tabLinks[targetIndex]) {
-          tabLinks[targetIndex].click();
+        const tabset = link.closest(".panel-tabset");
+        if (tabset) {
+          saveGroupChoice(tabset, link);
+          scheduleTransition(tabset);
         }
+        syncFragmentsToTab(deck, link);
       });
 
+      /**
+       * Autoplay tabsets on the current slide.
+       */
+      deck.on("slidechanged", function () {
+        clearTimeout(autoplayResumeTimer);
+        autoplayResumeTimer = null;
+        startAutoplay(deck);
+      });
+
+      /**
+       * Carry tab choices of tabset groups to later slides.
+       */
+      readGroupChoices();
+      deck.on("slidechanged", function () {
+        applyGroupChoices(deck);
+      });
+
+      setupTabKeys(deck);
+
       /**
        * Handle PDF export mode.
-       * Ensures the correct tab is visible based on fragment state.
+       * Shows the tab matching the fragment state, every pane stacked, or
+       * one page per tab, following tabset-pdf.
        */
       deck.on("pdf-ready", function () {
+        const pdfMode = getPdfMode(deck.getConfig());
+        const separateFragments = deck.getConfig().pdfSeparateFragments;
         const slides = document.querySelectorAll(".reveal .slides section");
 
         slides.forEach(function (slide) {
-          const tabset = slide.querySelector(".panel-tabset");
-          if (!tabset) return;
-
-          const fragments = slide.querySelectorAll(".panel-tabset-fragment");
-          let activeTabIndex = 0;
-
-          // Find the highest visible tab index
-          fragments.forEach(function (fragment) {
-            if (fragment.classList.contains("visible")) {
-              const tabIndex = parseInt(fragment.dataset.tabIndex, 10);
-              if (tabIndex > activeTabIndex) {
-                activeTabIndex = tabIndex;
-              }
-            }
-          });
-
-          // Update tab states
-          const tabLinks = tabset.querySelectorAll(TAB_LINK_SELECTOR);
-          const tabPanes = getTabPanes(tabset);
-          const tabPanesArray = Array.from(tabPanes);
-
-          tabLinks.forEach(function (link, index) {
-            const li = link.parentElement;
-            const isActive = index === activeTabIndex;
-
-            li.classList.toggle("active", isActive);
-            link.setAttribute("aria-selected", isActive ? "true" : "false");
-            link.setAttribute("tabindex", isActive ? "0" : "-1");
-          });
-
-          // Update pane visibility
-          tabPanesArray.forEach(function (panel, index) {
-            const isActive = index === activeTabIndex;
+          const tabsets = getAllTabsets(slide);
+          if (tabsets.length === 0) return;
 
-            panel.classList.toggle("active", isActive);
-            panel.style.display = isActive ? "block" : "none";
-          });
+          if (pdfMode === "stacked") {
+            tabsets.forEach(stackTabPanes);
+          } else if (pdfMode === "pages" && !separateFragments) {
+            addTabPages(slide);
+          } else {
+            tabsets.forEach(function (tabset) {
+              setActiveTab(tabset, getVisibleTabIndex(slide, tabset));
+            });
+          }
         });
+
+        if (pdfMode === "stacked" && separateFragments) {
+          removeTabSwitchPages();
+        }
       });
     },
+
+    /**
+     * Set up tabset fragments again, for tabsets added after the deck is
+     * ready. Runs on its own after every deck.sync() call.
+     */
+    refresh: function () {
+      if (revealDeck) {
+        reprocessTabsets(revealDeck);
+      }
+    },
   };
 };